@@ -0,0 +1,224 @@
+// @ts-nocheck
+
+/**
+ * Scene descriptions for screen readers and low-vision users.
+ *
+ * describeScene() turns the tracked objects into a short sentence
+ * ("2 people on the left, 1 chair in the middle"). Sides are as seen on
+ * screen, so they swap when the view is mirrored. The announcer puts the
+ * sentence in an ARIA live region and, if asked, speaks it with the Speech
+ * Synthesis API. Both wait for the scene to settle and are rate-limited, so
+ * an object flickering at the threshold doesn't flood the listener. A timer
+ * announces the last description once it has settled, so a still image or a
+ * paused video (which are only detected once) are described too.
+ *
+ * Settings look like:
+ *   { enabled: true, speak: false, intervalMs: 5000, rate: 1, shortcuts: true }
+ */
+
+export const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    enabled: false,
+    speak: false,      // Speak changes aloud (for use without a screen reader)
+    intervalMs: 5000,  // Least time between two spoken announcements
+    rate: 1,           // Speech rate
+    shortcuts: true    // Single-key shortcuts (can clash with speech input and other assistive tech)
+};
+
+const SETTINGS_STORAGE_KEY = "accessibilitySettings";
+
+// How long a description must stay the same before it is announced
+const STABLE_MS = 1000;
+// Least time between two live region updates
+const REGION_INTERVAL_MS = 2000;
+// How often to check back while something else is being spoken
+const SPEAKING_RETRY_MS = 500;
+// Categories named in one description, most numerous first
+const MAX_CATEGORIES = 5;
+
+const PLURALS = {
+    person: "people",
+    mouse: "mice",
+    knife: "knives",
+    sheep: "sheep",
+    skis: "skis",
+    scissors: "scissors"
+};
+
+export function loadAccessibilitySettings() {
+    try {
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}") };
+    } catch (error) {
+        console.error("Could not load accessibility settings:", error);
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+    }
+}
+
+export function saveAccessibilitySettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function isSpeechSupported() {
+    return "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+}
+
+/**
+ * A short description of what is in view.
+ * @param {Array<object>} tracks - Live tracks (tracker.getTracks()).
+ * @param {number} width - Frame width in pixels.
+ * @param {boolean} isFlipped - True if the view is mirrored.
+ * @returns {string}
+ */
+export function describeScene(tracks, width, isFlipped) {
+    if (tracks.length === 0) return "Nothing detected";
+
+    const groups = new Map(); // category -> on-screen box centres, 0..1
+    for (const track of tracks) {
+        const centre = (track.box.originX + track.box.width / 2) / width;
+        const screenX = isFlipped ? 1 - centre : centre;
+        if (!groups.has(track.category)) groups.set(track.category, []);
+        groups.get(track.category).push(screenX);
+    }
+
+    const parts = [...groups]
+        .sort(([a, aCentres], [b, bCentres]) => bCentres.length - aCentres.length || a.localeCompare(b))
+        .map(([category, centres]) => {
+            const count = centres.length;
+            const name = count === 1 ? category : pluralize(category);
+            const where = describePosition(centres);
+            return `${count} ${name}${where ? ` ${where}` : ""}`;
+        });
+
+    if (parts.length > MAX_CATEGORIES) {
+        const others = parts.length - MAX_CATEGORIES;
+        parts.splice(MAX_CATEGORIES, others, `${others} other ${others === 1 ? "kind" : "kinds"} of object`);
+    }
+    return parts.join(", ");
+}
+
+/**
+ * "on the left", "in the middle" or "on the right" when every centre is in
+ * the same third of the view, otherwise nothing.
+ */
+function describePosition(centres) {
+    const thirds = new Set(centres.map(x => Math.min(2, Math.max(0, Math.floor(x * 3)))));
+    if (thirds.size !== 1) return "";
+    return ["on the left", "in the middle", "on the right"][[...thirds][0]];
+}
+
+function pluralize(category) {
+    if (PLURALS[category]) return PLURALS[category];
+    // "wine glass", "bus", "bench", "toothbrush", "fox"
+    return /(s|sh|ch|x)$/.test(category) ? `${category}es` : `${category}s`;
+}
+
+/**
+ * Creates the announcer.
+ * @param {HTMLElement} liveRegion - An element with aria-live="polite".
+ * @param {object} settings - See DEFAULT_ACCESSIBILITY_SETTINGS; may be
+ *   changed at any time.
+ * @returns {object} - { settings, update(description, now), speakNow(), reset() }
+ */
+export function createAnnouncer(liveRegion, settings) {
+    const announcer = { settings: { ...settings } };
+    let pending;             // The latest description, waiting to settle
+    let pendingSince = 0;
+    let shown;               // What the live region says
+    let shownAt = -Infinity;
+    let spoken;              // What was last spoken
+    let spokenAt = -Infinity;
+    let timer;               // Comes back for what is still waiting
+
+    function speak(text) {
+        if (!isSpeechSupported()) return;
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = announcer.settings.rate;
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Shows and speaks the pending description if it has settled and the
+     * rate limits allow, otherwise sets the timer for when they will.
+     */
+    function announce(now) {
+        clearTimeout(timer);
+        timer = undefined;
+        if (pending === undefined) return;
+
+        const settlesIn = STABLE_MS - (now - pendingSince);
+        if (settlesIn > 0) {
+            schedule(settlesIn);
+            return;
+        }
+
+        const waits = [];
+        if (pending !== shown) {
+            const wait = REGION_INTERVAL_MS - (now - shownAt);
+            if (wait > 0) {
+                waits.push(wait);
+            } else {
+                liveRegion.textContent = pending;
+                shown = pending;
+                shownAt = now;
+            }
+        }
+
+        const { speak: shouldSpeak, intervalMs } = announcer.settings;
+        if (shouldSpeak && pending !== spoken && isSpeechSupported()) {
+            const wait = intervalMs - (now - spokenAt);
+            if (wait > 0) {
+                waits.push(wait);
+            } else if (speechSynthesis.speaking) {
+                waits.push(SPEAKING_RETRY_MS);
+            } else {
+                speak(pending);
+                spoken = pending;
+                spokenAt = now;
+            }
+        }
+
+        if (waits.length) schedule(Math.min(...waits));
+    }
+
+    function schedule(delay) {
+        timer = setTimeout(() => announce(performance.now()), delay);
+    }
+
+    /**
+     * Takes the latest description; call on every detection.
+     * @param {string} description - From describeScene().
+     * @param {number} now - performance.now().
+     */
+    announcer.update = (description, now) => {
+        if (description !== pending) {
+            pending = description;
+            pendingSince = now;
+        }
+        announce(now);
+    };
+
+    /**
+     * Speaks the current description straight away, interrupting anything
+     * being said.
+     */
+    announcer.speakNow = () => {
+        const text = pending || "Nothing detected";
+        if (isSpeechSupported()) speechSynthesis.cancel();
+        speak(text);
+        spoken = text;
+        spokenAt = performance.now();
+    };
+
+    /**
+     * Forgets the scene (new input) and stops speaking.
+     */
+    announcer.reset = () => {
+        clearTimeout(timer);
+        timer = undefined;
+        pending = shown = spoken = undefined;
+        shownAt = spokenAt = -Infinity;
+        liveRegion.textContent = "";
+        if (isSpeechSupported()) speechSynthesis.cancel();
+    };
+
+    return announcer;
+}
@@ -0,0 +1,287 @@
+// @ts-nocheck
+import { zoneContainsBox } from "./zones.js";
+
+/**
+ * Rule-based alerts.
+ * Every frame, each rule counts the detections that match it. When the
+ * count stays at or above `minCount` for `duration` ms the rule fires, and
+ * then stays quiet for `cooldown` ms so a sustained detection does not spam.
+ *
+ * A rule looks like:
+ *   {
+ *     id, name, enabled,
+ *     category: "person" | "*",  // "*" matches any category
+ *     minScore: 0.7,
+ *     minCount: 1,               // "more than 3 cars" is minCount: 4
+ *     zone: "Zone 1" | "",       // Optional: only count box centres inside this zone
+ *     duration: 2000,            // ms the condition must hold (debounce)
+ *     cooldown: 10000,           // ms before the rule may fire again
+ *     actions: ["banner", "sound", "snapshot", "clip", "webhook"]
+ *   }
+ */
+
+export const ALERT_ACTIONS = ["banner", "sound", "snapshot", "clip", "webhook"];
+
+// A condition that drops out for less than this still counts as "held",
+// so one missed frame does not restart the debounce timer
+const DROPOUT_TOLERANCE = 500;
+
+const RULES_STORAGE_KEY = "alertRules";
+
+/**
+ * Creates the alert engine. Dispatches "alert" (detail: the alert event)
+ * every time a rule fires; actions are up to the listener.
+ */
+export function createAlertEngine() {
+    const engine = new EventTarget();
+    let rules = [];
+    const ruleState = new Map(); // rule id -> { heldSince, lastTrue, lastFired }
+    let nextId = 1;
+
+    /**
+     * Adds a rule, filling in defaults for anything missing.
+     */
+    engine.addRule = (rule) => {
+        const complete = normalizeRule({ ...rule, id: nextId++ });
+        rules.push(complete);
+        return complete;
+    };
+
+    engine.removeRule = (id) => {
+        rules = rules.filter(rule => rule.id !== id);
+        ruleState.delete(id);
+    };
+
+    engine.setEnabled = (id, enabled) => {
+        const rule = rules.find(r => r.id === id);
+        if (rule) {
+            rule.enabled = enabled;
+            ruleState.delete(id);
+        }
+    };
+
+    engine.getRules = () => rules;
+
+    /**
+     * Evaluates every rule against one frame.
+     * @param {Array<object>} detections - This frame's MediaPipe detections.
+     * @param {object} frame
+     * @param {number} frame.timestamp - Frame time in ms.
+     * @param {number} frame.width - Frame width in pixels.
+     * @param {number} frame.height - Frame height in pixels.
+     * @param {Array<object>} [frame.zones] - Zones, for rules restricted to one.
+     */
+    engine.evaluate = (detections, { timestamp, width, height, zones = [] }) => {
+        for (const rule of rules) {
+            if (!rule.enabled) continue;
+
+            const zone = rule.zone ? zones.find(z => z.name === rule.zone) : null;
+            if (rule.zone && !zone) continue; // The zone was deleted
+
+            const matches = detections.filter(detection => {
+                const category = detection.categories[0];
+                if (rule.category !== "*" && category.categoryName !== rule.category) return false;
+                if (category.score < rule.minScore) return false;
+                return !zone || zoneContainsBox(zone, detection.boundingBox, width, height);
+            });
+
+            const state = ruleState.get(rule.id) || { heldSince: null, lastTrue: null, lastFired: -Infinity };
+            ruleState.set(rule.id, state);
+
+            if (matches.length >= rule.minCount) {
+                if (state.heldSince === null) state.heldSince = timestamp;
+                state.lastTrue = timestamp;
+            } else if (state.heldSince !== null && timestamp - state.lastTrue > DROPOUT_TOLERANCE) {
+                state.heldSince = null;
+            }
+
+            const held = state.heldSince !== null && state.lastTrue === timestamp
+                && timestamp - state.heldSince >= rule.duration;
+            const coolingDown = timestamp - state.lastFired < rule.cooldown;
+
+            if (held && !coolingDown) {
+                state.lastFired = timestamp;
+                state.heldSince = timestamp; // A sustained condition has to hold again before re-firing
+                engine.dispatchEvent(new CustomEvent("alert", {
+                    detail: {
+                        rule,
+                        timestamp,
+                        count: matches.length,
+                        message: describeAlert(rule, matches.length),
+                        detections: matches
+                    }
+                }));
+            }
+        }
+    };
+
+    /**
+     * Saves the rules to localStorage.
+     */
+    engine.save = () => {
+        localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules.map(({ id, ...rule }) => rule)));
+    };
+
+    /**
+     * Loads rules saved by save(), replacing the current ones.
+     */
+    engine.load = () => {
+        rules = [];
+        ruleState.clear();
+        try {
+            const saved = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY) || "[]");
+            saved.forEach(rule => engine.addRule(rule));
+        } catch (error) {
+            console.error("Could not load saved alert rules:", error);
+        }
+    };
+
+    return engine;
+}
+
+function normalizeRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name || `${rule.category || "*"} rule`,
+        enabled: rule.enabled !== false,
+        category: rule.category || "*",
+        minScore: Math.min(1, Math.max(0, finiteOr(rule.minScore, 0.5))),
+        minCount: Math.max(1, Math.round(finiteOr(rule.minCount, 1))),
+        zone: rule.zone || "",
+        duration: Math.max(0, finiteOr(rule.duration, 0)),
+        cooldown: Math.max(0, finiteOr(rule.cooldown, 10000)),
+        actions: (rule.actions || ["banner"]).filter(action => ALERT_ACTIONS.includes(action))
+    };
+}
+
+/**
+ * `value` as a number, or `fallback` when it is missing or not a number
+ * (an empty form field parses to NaN).
+ */
+function finiteOr(value, fallback) {
+    const number = Number(value);
+    return value !== null && value !== "" && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * A one-line, human readable summary of a rule, e.g.
+ * "≥ 2 person (score ≥ 70%) in Zone 1 for 2s".
+ */
+export function describeRule(rule) {
+    const category = rule.category === "*" ? "object" : rule.category;
+    const zone = rule.zone ? ` in ${rule.zone}` : "";
+    const duration = rule.duration > 0 ? ` for ${rule.duration / 1000}s` : "";
+    return `≥ ${rule.minCount} ${category} (score ≥ ${Math.round(rule.minScore * 100)}%)${zone}${duration}`;
+}
+
+function describeAlert(rule, count) {
+    const category = rule.category === "*" ? "object" : rule.category;
+    const zone = rule.zone ? ` in ${rule.zone}` : "";
+    return `${rule.name}: ${count} ${category}${count === 1 ? "" : "s"}${zone}`;
+}
+
+// --- Actions ---
+
+/**
+ * Shows a banner message for a few seconds.
+ * @param {HTMLElement} banner - The banner element (hidden by default).
+ * @param {string} message
+ */
+export function showBanner(banner, message, durationMs = 5000) {
+    banner.textContent = message;
+    banner.classList.remove("hidden");
+    clearTimeout(banner.hideTimer);
+    banner.hideTimer = setTimeout(() => banner.classList.add("hidden"), durationMs);
+}
+
+let audioContext;
+
+/**
+ * Plays a short two-tone beep.
+ */
+export function playAlertTone() {
+    audioContext = audioContext || new AudioContext();
+    const start = audioContext.currentTime;
+
+    [880, 660].forEach((frequency, i) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start + i * 0.15);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.15 + 0.14);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start + i * 0.15);
+        oscillator.stop(start + i * 0.15 + 0.15);
+    });
+}
+
+let socket;
+let socketOpened; // Settles once `socket` opens, or fails to; shared by every alert waiting on it
+
+/**
+ * Sends an alert to a webhook (http/https: POST) or WebSocket (ws/wss) endpoint.
+ * WebSocket connections are kept open and reused.
+ * @param {string} endpoint
+ * @param {object} payload - Sent as JSON.
+ * @returns {Promise<void>} - Rejects if the alert could not be sent.
+ */
+export async function sendToEndpoint(endpoint, payload) {
+    const body = JSON.stringify(payload);
+
+    if (/^wss?:\/\//i.test(endpoint)) {
+        if (!socket || socket.url !== new URL(endpoint).href || socket.readyState > WebSocket.OPEN) {
+            openSocket(endpoint);
+        }
+        const target = socket;
+        await socketOpened;
+        if (target.readyState !== WebSocket.OPEN) {
+            throw new Error(`WebSocket ${endpoint} closed before the alert was sent`);
+        }
+        target.send(body);
+        return;
+    }
+
+    const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+    }
+}
+
+function openSocket(endpoint) {
+    const opening = new WebSocket(endpoint);
+    socket = opening;
+    socketOpened = new Promise((resolve, reject) => {
+        const fail = () => reject(new Error(`Could not connect to ${endpoint}`));
+        opening.addEventListener("open", resolve, { once: true });
+        // Either may come first; after "open" they do nothing
+        opening.addEventListener("error", fail, { once: true });
+        opening.addEventListener("close", fail, { once: true });
+    });
+}
+
+/**
+ * Builds the JSON payload sent to webhooks for an alert.
+ */
+export function toAlertPayload(alert) {
+    return {
+        type: "alert",
+        rule: alert.rule.name,
+        message: alert.message,
+        timestamp: new Date(alert.timestamp).toISOString(),
+        count: alert.count,
+        detections: alert.detections.map(detection => ({
+            category: detection.categories[0].categoryName,
+            score: detection.categories[0].score,
+            box: {
+                x: detection.boundingBox.originX,
+                y: detection.boundingBox.originY,
+                width: detection.boundingBox.width,
+                height: detection.boundingBox.height
+            }
+        }))
+    };
+}
@@ -0,0 +1,98 @@
+// @ts-nocheck
+
+/**
+ * Category filtering, per-class confidence thresholds and per-class colours.
+ *
+ * The allow/deny list is handed to MediaPipe (categoryAllowlist /
+ * categoryDenylist), so unwanted classes never leave the detector. Per-class
+ * thresholds are applied afterwards in JS: MediaPipe only knows one global
+ * scoreThreshold, so we give it the lowest threshold in use and filter the
+ * rest here.
+ */
+
+// The labels of the COCO-trained EfficientDet-Lite models
+export const COCO_CLASSES = [
+    "person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat",
+    "traffic light", "fire hydrant", "stop sign", "parking meter", "bench", "bird", "cat",
+    "dog", "horse", "sheep", "cow", "elephant", "bear", "zebra", "giraffe", "backpack",
+    "umbrella", "handbag", "tie", "suitcase", "frisbee", "skis", "snowboard", "sports ball",
+    "kite", "baseball bat", "baseball glove", "skateboard", "surfboard", "tennis racket",
+    "bottle", "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple",
+    "sandwich", "orange", "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "chair",
+    "couch", "potted plant", "bed", "dining table", "toilet", "tv", "laptop", "mouse",
+    "remote", "keyboard", "cell phone", "microwave", "oven", "toaster", "sink",
+    "refrigerator", "book", "clock", "vase", "scissors", "teddy bear", "hair drier",
+    "toothbrush"
+];
+
+export const DEFAULT_BOX_COLOR = "#00bcd4";
+
+const STORAGE_KEY = "classSettings";
+
+/**
+ * Loads the saved class settings, or the defaults (every class, no overrides).
+ * @returns {{mode: "all"|"allow"|"deny", categories: string[], thresholds: Object<string, number>, colors: Object<string, string>}}
+ */
+export function loadClassSettings() {
+    const defaults = { mode: "all", categories: [], thresholds: {}, colors: {} };
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+        return saved ? { ...defaults, ...saved } : defaults;
+    } catch (error) {
+        console.error("Could not load class settings:", error);
+        return defaults;
+    }
+}
+
+export function saveClassSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The ObjectDetector options for these settings.
+ * @param {object} settings - From loadClassSettings().
+ * @param {number} globalThreshold - The threshold slider value.
+ */
+export function toDetectorOptions(settings, globalThreshold) {
+    const thresholds = Object.values(settings.thresholds);
+    return {
+        // Empty lists switch the filter off, so always pass both
+        categoryAllowlist: settings.mode === "allow" ? settings.categories : [],
+        categoryDenylist: settings.mode === "deny" ? settings.categories : [],
+        scoreThreshold: Math.min(globalThreshold, ...thresholds)
+    };
+}
+
+/**
+ * Applies the category filter and per-class thresholds to a frame's detections.
+ * @param {Array<object>} detections - `results.detections` from MediaPipe.
+ * @param {object} settings - From loadClassSettings().
+ * @param {number} globalThreshold - Used for classes without their own threshold.
+ * @param {number} [margin=0] - Let through scores this far below the thresholds
+ *   (for score hysteresis, see smoothing.js).
+ */
+export function filterDetections(detections, settings, globalThreshold, margin = 0) {
+    const listed = new Set(settings.categories);
+
+    return detections.filter(detection => {
+        const { categoryName, score } = detection.categories[0];
+        // MediaPipe already filters, but an empty allowlist means "everything" to it
+        if (settings.mode === "allow" && !listed.has(categoryName)) return false;
+        if (settings.mode === "deny" && listed.has(categoryName)) return false;
+        return score >= classThreshold(settings, categoryName, globalThreshold) - margin;
+    });
+}
+
+/**
+ * The score a category needs: its own threshold, or the global one.
+ */
+export function classThreshold(settings, categoryName, globalThreshold) {
+    return settings.thresholds[categoryName] ?? globalThreshold;
+}
+
+/**
+ * The box/label colour for a category.
+ */
+export function classColor(settings, categoryName) {
+    return settings.colors[categoryName] || DEFAULT_BOX_COLOR;
+}
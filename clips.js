@@ -0,0 +1,256 @@
+// @ts-nocheck
+import { toRecordedDetection } from "./export.js";
+
+/**
+ * Video clips with the detection overlay burned in.
+ *
+ * Every animation frame, the input (mirrored if flipped) and the overlay
+ * canvas are drawn onto one canvas, which MediaRecorder records as WebM.
+ *
+ * Pre-roll: a WebM file can't simply be cut at the front (every chunk after
+ * the first depends on it), so while armed, two recorders run staggered by
+ * the pre-roll length, each restarted once it is two pre-rolls old. When a
+ * clip starts, the older one is kept, so the clip begins between one and two
+ * pre-roll lengths before the trigger. Only those two short recordings are
+ * ever held in memory.
+ *
+ * Next to each clip comes a JSON file with the detections, timed in seconds
+ * from the start of the clip.
+ */
+
+const MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+/**
+ * True if this browser can record clips.
+ */
+export function isClipRecordingSupported() {
+    return typeof MediaRecorder !== "undefined"
+        && typeof HTMLCanvasElement.prototype.captureStream === "function"
+        && MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Draws what the user sees: the frame (mirrored if flipped) with the
+ * overlay on top.
+ * @param {CanvasRenderingContext2D} ctx - Where to draw; its canvas sets the size.
+ * @param {CanvasImageSource} element - The <video> or <img> showing the input.
+ * @param {HTMLCanvasElement} overlay - The detection overlay.
+ * @param {boolean} isFlipped
+ */
+export function drawComposite(ctx, element, overlay, isFlipped) {
+    const { width, height } = ctx.canvas;
+    if (isFlipped) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(element, 0, 0, width, height);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(overlay, 0, 0, width, height);
+}
+
+/**
+ * Creates a clip recorder.
+ * @param {object} options
+ * @param {() => ({element: CanvasImageSource, overlay: HTMLCanvasElement, isFlipped: boolean}|null)} options.getFrame
+ *   - What to draw; null while there is nothing to show.
+ * @param {number} [options.fps=30]
+ * @returns {object}
+ */
+export function createClipRecorder({ getFrame, fps = 30 }) {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+    let stream;
+    let drawHandle;
+    let preRollMs = 0;
+    let rotateTimer;
+    let segments = [];  // { recorder, chunks, startedAt }, oldest first
+    let clip;           // The segment being kept as the clip
+    let triggeredAt;
+    let detectionLog = []; // { timestamp, mediaTime, detections }
+
+    function draw() {
+        const frame = getFrame();
+        if (frame) {
+            // Follow the input's size, but never during a clip: encoders
+            // don't like the size changing mid-stream
+            const { width, height } = frame.overlay;
+            if (!clip && width > 0 && height > 0 && (width !== canvas.width || height !== canvas.height)) {
+                canvas.width = width;
+                canvas.height = height;
+                // Whatever was buffered belongs to the previous input
+                if (segments.length > 0) restartPreRoll();
+            }
+            drawComposite(ctx, frame.element, frame.overlay, frame.isFlipped);
+        }
+        drawHandle = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Starts drawing, if that isn't happening already.
+     */
+    function startDrawing() {
+        if (stream) return;
+        stream = canvas.captureStream(fps);
+        draw();
+    }
+
+    function stopDrawing() {
+        cancelAnimationFrame(drawHandle);
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            stream = undefined;
+        }
+    }
+
+    function startSegment() {
+        const segment = { chunks: [], startedAt: Date.now() };
+        segment.recorder = new MediaRecorder(stream, { mimeType });
+        segment.recorder.addEventListener("dataavailable", (event) => {
+            if (event.data.size > 0) segment.chunks.push(event.data);
+        });
+        segment.recorder.start(1000);
+        segments.push(segment);
+        return segment;
+    }
+
+    function discardSegment(segment) {
+        segment.chunks = [];
+        if (segment.recorder.state !== "inactive") segment.recorder.stop();
+    }
+
+    /**
+     * Keeps the pre-roll recorders rolling: a new one every pre-roll
+     * length, and never more than two.
+     */
+    function rotateSegments() {
+        startSegment();
+        while (segments.length > 2) {
+            discardSegment(segments.shift());
+        }
+        // Detections older than the oldest recording are of no use
+        const oldest = segments[0].startedAt;
+        detectionLog = detectionLog.filter(entry => entry.timestamp >= oldest);
+    }
+
+    function startPreRoll() {
+        if (preRollMs <= 0 || clip) return;
+        startDrawing();
+        rotateSegments();
+        rotateTimer = setInterval(rotateSegments, preRollMs);
+    }
+
+    function stopPreRoll() {
+        clearInterval(rotateTimer);
+        rotateTimer = undefined;
+    }
+
+    function restartPreRoll() {
+        stopPreRoll();
+        segments.forEach(discardSegment);
+        segments = [];
+        detectionLog = [];
+        startPreRoll();
+    }
+
+    const recorder = {
+        mimeType,
+
+        /**
+         * Sets how far back a clip should start; 0 turns buffering off.
+         * @param {number} seconds
+         */
+        setPreRoll(seconds) {
+            preRollMs = seconds * 1000;
+            if (clip) return; // Applies from the next clip
+            restartPreRoll();
+            if (preRollMs <= 0) {
+                stopDrawing();
+            }
+        },
+
+        isRecording() {
+            return clip !== undefined;
+        },
+
+        /**
+         * Starts a clip, including whatever pre-roll has been buffered.
+         */
+        start() {
+            if (clip) return;
+            triggeredAt = Date.now();
+            stopPreRoll();
+
+            if (segments.length > 0) {
+                clip = segments.shift();
+                segments.forEach(discardSegment);
+                segments = [];
+            } else {
+                startDrawing();
+                clip = startSegment();
+                segments = [];
+            }
+        },
+
+        /**
+         * Finishes the clip.
+         * @returns {Promise<{video: Blob, sidecar: Blob, startedAt: Date}>}
+         */
+        async stop() {
+            if (!clip) throw new Error("No clip is being recorded");
+            const finished = clip;
+            const stoppedAt = Date.now();
+
+            await new Promise(resolve => {
+                finished.recorder.addEventListener("stop", resolve, { once: true });
+                finished.recorder.stop();
+            });
+            clip = undefined;
+
+            const frames = detectionLog
+                .filter(entry => entry.timestamp >= finished.startedAt && entry.timestamp <= stoppedAt)
+                .map(entry => ({
+                    time: (entry.timestamp - finished.startedAt) / 1000,
+                    mediaTime: entry.mediaTime ?? null,
+                    detections: entry.detections
+                }));
+            const sidecar = {
+                startedAt: new Date(finished.startedAt).toISOString(),
+                duration: (stoppedAt - finished.startedAt) / 1000,
+                preRoll: (triggeredAt - finished.startedAt) / 1000,
+                width: canvas.width,
+                height: canvas.height,
+                frames
+            };
+
+            detectionLog = [];
+            if (preRollMs > 0) {
+                startPreRoll(); // Get ready for the next one
+            } else {
+                stopDrawing();
+            }
+
+            return {
+                video: new Blob(finished.chunks, { type: mimeType.split(";")[0] }),
+                sidecar: new Blob([JSON.stringify(sidecar, null, 2)], { type: "application/json" }),
+                startedAt: new Date(finished.startedAt)
+            };
+        },
+
+        /**
+         * Notes a frame's detections, for the sidecar file.
+         * @param {object} frame - { timestamp, mediaTime }
+         * @param {Array<object>} tracks - Tracks matched on that frame.
+         */
+        addDetections(frame, tracks) {
+            if (!clip && segments.length === 0) return;
+            detectionLog.push({
+                timestamp: frame.timestamp,
+                mediaTime: frame.mediaTime,
+                detections: tracks.map(track => toRecordedDetection(track.detection, track.id))
+            });
+        }
+    };
+    return recorder;
+}
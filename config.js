@@ -0,0 +1,152 @@
+// @ts-nocheck
+
+/**
+ * The detector configuration as a plain object, so it can be put in a URL
+ * (to share a set-up with someone) or saved as a named preset.
+ *
+ * A config looks like this; every field is optional, and missing ones leave
+ * the current setting alone:
+ *   {
+ *     model: "efficientdet_lite0.tflite",
+ *     maxResults: 5,
+ *     threshold: 0.5,
+ *     camera: "<deviceId, or part of the camera's name>",
+ *     flip: true,
+ *     inference: "worker" | "main",
+ *     delegate: "auto" | "GPU" | "CPU",
+ *     classMode: "all" | "allow" | "deny",
+ *     classes: ["person", "car"],
+ *     classThresholds: { person: 0.6 },
+ *     adaptiveFps: 15             // Adaptive quality holding this frame rate; 0 = off
+ *   }
+ *
+ * In a URL it reads e.g.
+ *   ?model=efficientdet_lite0.tflite&threshold=0.6&classMode=allow&classes=person,car
+ *
+ * Custom models added from a file ("custom:<id>") only exist in the browser
+ * that added them, so links that use one fall back to the default model.
+ */
+
+const PRESETS_STORAGE_KEY = "configPresets";
+
+const asString = {
+    parse: value => value,
+    format: value => String(value)
+};
+
+const asList = {
+    parse: value => value.split(",").map(item => item.trim()).filter(Boolean),
+    format: value => value.join(",")
+};
+
+function asNumber(min, max, integer = false) {
+    return {
+        parse: value => {
+            const number = integer ? parseInt(value, 10) : parseFloat(value);
+            return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : undefined;
+        },
+        format: value => String(value)
+    };
+}
+
+function oneOf(...values) {
+    return {
+        parse: value => values.includes(value) ? value : undefined,
+        format: value => value
+    };
+}
+
+// URL parameter -> how to read and write it
+const FIELDS = {
+    model: asString,
+    maxResults: asNumber(1, 100, true),
+    threshold: asNumber(0, 1),
+    camera: asString,
+    flip: {
+        parse: value => ["1", "true", "yes"].includes(value.toLowerCase()),
+        format: value => value ? "1" : "0"
+    },
+    inference: oneOf("worker", "main"),
+    delegate: oneOf("auto", "GPU", "CPU"),
+    classMode: oneOf("all", "allow", "deny"),
+    classes: asList,
+    // "person:0.6,car:0.4"
+    classThresholds: {
+        parse: value => Object.fromEntries(asList.parse(value)
+            .map(pair => {
+                const split = pair.lastIndexOf(":");
+                return [pair.slice(0, split), asNumber(0, 1).parse(pair.slice(split + 1))];
+            })
+            .filter(([name, threshold]) => name && threshold !== undefined)),
+        format: value => Object.entries(value).map(([name, threshold]) => `${name}:${threshold}`).join(",")
+    },
+    adaptiveFps: {
+        parse: value => {
+            const fps = asNumber(0, 30, true).parse(value);
+            return fps === undefined || fps === 0 ? fps : Math.max(fps, 5);
+        },
+        format: value => String(value)
+    }
+};
+
+/**
+ * Reads a config from URL query parameters. Unknown or invalid ones are ignored.
+ * @param {string} [search=location.search]
+ * @returns {object}
+ */
+export function readConfigFromUrl(search = location.search) {
+    const params = new URLSearchParams(search);
+    const config = {};
+    for (const [name, field] of Object.entries(FIELDS)) {
+        if (!params.has(name)) continue;
+        const value = field.parse(params.get(name));
+        if (value !== undefined) config[name] = value;
+    }
+    return config;
+}
+
+/**
+ * A link to this page that opens with the given config.
+ * @param {object} config
+ * @param {string} [base=location.href]
+ * @returns {string}
+ */
+export function toConfigUrl(config, base = location.href) {
+    const url = new URL(base);
+    url.search = "";
+    url.hash = "";
+    for (const [name, field] of Object.entries(FIELDS)) {
+        const value = config[name];
+        if (value === undefined || value === null) continue;
+        url.searchParams.set(name, field.format(value));
+    }
+    return url.href;
+}
+
+/**
+ * The saved presets.
+ * @returns {Object<string, object>} - Preset name -> config.
+ */
+export function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || "{}");
+    } catch (error) {
+        console.error("Could not load presets:", error);
+        return {};
+    }
+}
+
+/**
+ * Saves a config under a name, replacing any preset with that name.
+ */
+export function savePreset(name, config) {
+    const presets = loadPresets();
+    presets[name] = config;
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function deletePreset(name) {
+    const presets = loadPresets();
+    delete presets[name];
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
@@ -0,0 +1,149 @@
+// @ts-nocheck
+
+/**
+ * Choosing the delegate, i.e. where the model's maths runs.
+ *
+ * MediaPipe's GPU delegate runs on WebGL2. It fails on machines without a
+ * usable GPU (headless Linux, remote desktops, browsers with hardware
+ * acceleration turned off), and on a software renderer such as SwiftShader
+ * or llvmpipe it is slower than the CPU delegate anyway, so "auto" only
+ * picks it when a real GPU is there.
+ *
+ * MediaPipe uploads every frame through WebGL, even with the CPU delegate,
+ * so a browser with no WebGL at all can't run it either way. WebGPU is
+ * probed and reported, but this MediaPipe build doesn't use it.
+ */
+
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+// Error messages that point at the GPU delegate rather than the model or the frame
+const GPU_ERRORS = /webgl|\bgpu\b|\bgl_|context lost|shader|framebuffer|texture/i;
+
+let supportPromise;
+
+/**
+ * Finds out what the browser offers. Only probes once per page load.
+ * @returns {Promise<{webgl: boolean, webgl2: boolean, webgpu: boolean,
+ *   renderer: string, softwareRenderer: boolean}>}
+ */
+export function probeGpuSupport() {
+    if (!supportPromise) {
+        supportPromise = runProbe();
+    }
+    return supportPromise;
+}
+
+async function runProbe() {
+    const support = { webgl: false, webgl2: false, webgpu: false, renderer: "", softwareRenderer: false };
+
+    // A canvas keeps the first kind of context it gave out, so each try gets its own
+    for (const type of ["webgl2", "webgl"]) {
+        let gl;
+        try {
+            gl = createGpuCanvas().getContext(type);
+        } catch {
+            gl = null;
+        }
+        if (!gl) continue;
+
+        support.webgl = true;
+        support.webgl2 = type === "webgl2";
+        support.renderer = getRenderer(gl);
+        support.softwareRenderer = SOFTWARE_RENDERERS.test(support.renderer);
+        // Browsers only allow a handful of live contexts; give this one back
+        gl.getExtension("WEBGL_lose_context")?.loseContext();
+        break;
+    }
+
+    if (navigator.gpu) {
+        try {
+            support.webgpu = (await navigator.gpu.requestAdapter()) !== null;
+        } catch {
+            support.webgpu = false;
+        }
+    }
+    return support;
+}
+
+function getRenderer(gl) {
+    const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+    return String(gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || "");
+}
+
+/**
+ * Picks the delegate to try first.
+ * @param {"auto"|"GPU"|"CPU"} preference - What the user chose.
+ * @param {object} support - From probeGpuSupport().
+ * @param {boolean} gpuFailed - True once the GPU has failed this session.
+ * @returns {"GPU"|"CPU"}
+ */
+export function resolveDelegate(preference, support, gpuFailed) {
+    if (preference === "CPU" || gpuFailed) return "CPU";
+    if (preference === "GPU") return "GPU";
+    return support.webgl2 && !support.softwareRenderer ? "GPU" : "CPU";
+}
+
+/**
+ * Builds a detector on the delegate resolveDelegate() picks and, if that is
+ * the GPU and it fails, on the CPU. The GPU is only reported as failed once
+ * the CPU has worked with the same model: a model MediaPipe rejects fails on
+ * both, and says nothing about the GPU.
+ * @param {object} options
+ * @param {string} options.preference - What the user chose.
+ * @param {object} options.support - From probeGpuSupport().
+ * @param {boolean} options.gpuFailed - True once the GPU has failed this session.
+ * @param {function("GPU"|"CPU"): Promise<object>} options.build - Creates the detector on a delegate.
+ * @returns {Promise<{detector: object, delegate: "GPU"|"CPU", gpuFailed: boolean}>} -
+ *   gpuFailed is true if the GPU failed this time.
+ */
+export async function buildWithFallback({ preference, support, gpuFailed, build }) {
+    const firstDelegate = resolveDelegate(preference, support, gpuFailed);
+    let gpuError;
+    for (const delegate of firstDelegate === "GPU" ? ["GPU", "CPU"] : ["CPU"]) {
+        try {
+            const detector = await build(delegate);
+            if (gpuError) console.warn("GPU delegate failed, fell back to the CPU:", gpuError);
+            return { detector, delegate, gpuFailed: Boolean(gpuError) };
+        } catch (error) {
+            if (delegate !== "GPU") throw error;
+            gpuError = error;
+        }
+    }
+}
+
+/**
+ * True if a detection error came from the GPU delegate (WebGL failures,
+ * a lost context), so switching to the CPU may help. Anything else, such as
+ * a frame MediaPipe can't read, would fail on the CPU as well.
+ * @param {Error|string} error
+ */
+export function isGpuError(error) {
+    return GPU_ERRORS.test(typeof error === "string" ? error : String(error && error.message));
+}
+
+/**
+ * A short description of the delegate in use, and why.
+ * @param {"GPU"|"CPU"} delegate - The delegate the detector is running on.
+ * @param {object} context
+ * @param {object} context.support - From probeGpuSupport().
+ * @param {string} context.preference - What the user chose.
+ * @param {boolean} context.gpuFailed
+ */
+export function describeDelegate(delegate, { support, preference, gpuFailed }) {
+    if (delegate === "GPU") return "GPU (WebGL2)";
+    if (preference === "CPU") return "CPU";
+    if (gpuFailed) return "CPU (GPU failed)";
+    if (!support.webgl2) return "CPU (no WebGL2)";
+    if (support.softwareRenderer) return "CPU (software GPU)";
+    return "CPU";
+}
+
+/**
+ * A canvas for MediaPipe's WebGL context. Passing our own lets us listen
+ * for "webglcontextlost".
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+export function createGpuCanvas() {
+    return typeof OffscreenCanvas !== "undefined"
+        ? new OffscreenCanvas(1, 1)
+        : document.createElement("canvas");
+}
@@ -0,0 +1,86 @@
+// @ts-nocheck
+
+/**
+ * Drawing detections on an overlay canvas. Shared by the app and the
+ * embeddable <live-object-detector> element.
+ */
+
+/**
+ * Draws a single detection (box and label) onto the canvas.
+ * This function is "flip-aware": boxes are in video coordinates, and the
+ * video may be mirrored on screen while the canvas is not.
+ * @param {CanvasRenderingContext2D} ctx - The overlay canvas.
+ * @param {object} detection - A single detection object from MediaPipe.
+ * @param {object} options
+ * @param {boolean} options.isFlipped - True if the video is mirrored.
+ * @param {string} options.color - Box and label colour.
+ * @param {number} [options.trackId] - Stable tracker ID, shown in front of the label.
+ * @param {number} [options.opacity=1] - For fading boxes in and out.
+ * @param {string} [options.label] - Shown instead of the category and score.
+ * @param {boolean} [options.dashed=false] - Dashed box, e.g. for ground truth.
+ */
+export function drawDetection(ctx, detection, { isFlipped, color, trackId, opacity = 1, label, dashed = false }) {
+    const canvas = ctx.canvas;
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    const box = detection.boundingBox;
+    
+    // --- 1. Calculate Coordinates ---
+    let x, textX, textBgX;
+    
+    if (isFlipped) {
+        // Flipped calculation
+        x = canvas.width - box.originX - box.width;
+    } else {
+        // Normal calculation
+        x = box.originX;
+    }
+
+    const y = box.originY;
+    const w = box.width;
+    const h = box.height;
+
+    // --- 2. Draw the Bounding Box ---
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(2, canvas.width * 0.003); // Responsive line width
+    if (dashed) ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 2]);
+    ctx.rect(x, y, w, h);
+    ctx.stroke();
+    
+    // --- 3. Draw the Label ---
+    const idPrefix = trackId !== undefined ? `#${trackId} ` : "";
+    label = label ?? `${idPrefix}${detection.categories[0].categoryName} (${Math.round(detection.categories[0].score * 100)}%)`;
+    
+    const fontSize = Math.max(16, canvas.width * 0.012);
+    ctx.font = `bold ${fontSize}px Arial`;
+    const textWidth = ctx.measureText(label).width;
+    const textHeight = fontSize * 1.4;
+
+    // Set text alignment based on flip state
+    if (isFlipped) {
+        textX = x + w - textWidth - 5; // Align text to the right inside the box
+        textBgX = x + w - textWidth - 10;
+    } else {
+        textX = x + 5; // Align text to the left inside the box
+        textBgX = x;
+    }
+    
+    // Handle label position (move inside if at the top edge)
+    let textY = y + textHeight * 0.8;
+    let textBgY = y;
+    
+    if (textBgY < textHeight) { // If label is near the top edge
+        textY = y + h - (textHeight * 0.2);
+        textBgY = y + h - textHeight;
+    }
+
+    // Draw the text background
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(textBgX, textBgY, textWidth + 10, textHeight);
+    
+    // Draw the text
+    ctx.fillStyle = color;
+    ctx.fillText(label, textX, textY);
+    ctx.restore();
+}
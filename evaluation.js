@@ -0,0 +1,405 @@
+// @ts-nocheck
+import { iou } from "./tracker.js";
+
+/**
+ * Accuracy evaluation against a labelled image folder.
+ *
+ * loadDataset() pairs images with ground truth from a COCO JSON file or
+ * Pascal VOC XML files in the same folder. runEvaluation() runs a detector
+ * over every image with a very low score threshold and keeps everything it
+ * finds, so evaluate() can then score any threshold without running the
+ * model again:
+ *   - mAP@0.5 and mAP@0.5:0.95 (COCO-style 101-point interpolation), which
+ *     don't depend on the threshold;
+ *   - precision, recall, TP/FP/FN per class, a confusion matrix and the list
+ *     of individual errors at the chosen thresholds (IoU 0.5).
+ *
+ * Boxes everywhere are { originX, originY, width, height } in image pixels,
+ * like MediaPipe's. Category names are matched case-insensitively, and VOC
+ * names are mapped to their COCO equivalents ("aeroplane" -> "airplane").
+ * COCO "iscrowd" and VOC "difficult" objects are left out.
+ */
+
+// Run the detector this low, so AP sees the whole precision/recall curve
+export const EVALUATION_SCORE_THRESHOLD = 0.05;
+export const EVALUATION_MAX_RESULTS = 100;
+
+export const IOU_THRESHOLDS = Array.from({ length: 10 }, (_, i) => 0.5 + i * 0.05);
+
+// Row / column for unmatched detections and ground truth in the confusion matrix
+export const BACKGROUND = "(background)";
+
+const VOC_TO_COCO = {
+    aeroplane: "airplane",
+    diningtable: "dining table",
+    motorbike: "motorcycle",
+    pottedplant: "potted plant",
+    sofa: "couch",
+    tvmonitor: "tv"
+};
+
+function normalizeCategory(name) {
+    const category = String(name).trim().toLowerCase();
+    return VOC_TO_COCO[category] || category;
+}
+
+function baseName(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+function stripExtension(name) {
+    return name.replace(/\.[^.]+$/, "");
+}
+
+// --- Loading ---
+
+/**
+ * Pairs the images in a folder with their annotations.
+ * @param {FileList|Array<File>} files - Everything in the folder: images plus
+ *   one COCO .json, or a VOC .xml per image.
+ * @returns {Promise<{format: string, images: Array<{file: File, name: string, groundTruth: Array<object>}>}>}
+ */
+export async function loadDataset(files) {
+    files = Array.from(files);
+    const images = new Map(); // File name -> File
+    for (const file of files) {
+        if (file.type.startsWith("image/")) images.set(file.name, file);
+    }
+    if (images.size === 0) throw new Error("The folder has no images");
+
+    const jsonFile = files.find(file => file.name.toLowerCase().endsWith(".json"));
+    const xmlFiles = files.filter(file => file.name.toLowerCase().endsWith(".xml"));
+
+    let format;
+    let annotations; // Image file name -> ground truth
+    if (jsonFile) {
+        format = "COCO";
+        annotations = parseCocoAnnotations(JSON.parse(await jsonFile.text()));
+    } else if (xmlFiles.length > 0) {
+        format = "Pascal VOC";
+        annotations = new Map();
+        for (const xmlFile of xmlFiles) {
+            const { fileName, groundTruth } = parseVocAnnotation(await xmlFile.text());
+            // The <filename> can be stale after renaming; fall back to the XML's own name
+            const imageName = images.has(fileName)
+                ? fileName
+                : [...images.keys()].find(name => stripExtension(name) === stripExtension(xmlFile.name));
+            if (imageName) annotations.set(imageName, groundTruth);
+        }
+    } else {
+        throw new Error("No annotations found: add a COCO .json file or Pascal VOC .xml files");
+    }
+
+    const dataset = [];
+    for (const [name, groundTruth] of annotations) {
+        const file = images.get(name);
+        if (file) dataset.push({ file, name, groundTruth });
+    }
+    if (dataset.length === 0) throw new Error(`None of the ${format} annotations match an image in the folder`);
+
+    dataset.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    return { format, images: dataset };
+}
+
+/**
+ * @param {object} coco - A COCO annotation file ({ images, annotations, categories }).
+ * @returns {Map<string, Array<object>>} - Image file name -> ground truth.
+ */
+export function parseCocoAnnotations(coco) {
+    if (!Array.isArray(coco.images) || !Array.isArray(coco.annotations)) {
+        throw new Error("Not a COCO annotation file (no images or annotations)");
+    }
+    const categories = new Map((coco.categories || []).map(category => [category.id, normalizeCategory(category.name)]));
+    const imageNames = new Map();
+    const byImage = new Map();
+    for (const image of coco.images) {
+        const name = baseName(image.file_name);
+        imageNames.set(image.id, name);
+        byImage.set(name, []);
+    }
+
+    for (const annotation of coco.annotations) {
+        if (annotation.iscrowd) continue;
+        const name = imageNames.get(annotation.image_id);
+        if (!name || !annotation.bbox) continue;
+        const [x, y, width, height] = annotation.bbox;
+        byImage.get(name).push({
+            category: categories.get(annotation.category_id) ?? String(annotation.category_id),
+            box: { originX: x, originY: y, width, height }
+        });
+    }
+    return byImage;
+}
+
+/**
+ * @param {string} xml - One Pascal VOC annotation file.
+ * @returns {{fileName: string, groundTruth: Array<object>}}
+ */
+export function parseVocAnnotation(xml) {
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    if (doc.querySelector("parsererror")) throw new Error("Invalid Pascal VOC XML");
+
+    const text = (element, selector) => element.querySelector(selector)?.textContent.trim();
+    const groundTruth = [];
+    for (const object of doc.querySelectorAll("annotation > object")) {
+        if (text(object, ":scope > difficult") === "1") continue;
+        const xmin = parseFloat(text(object, "bndbox > xmin"));
+        const ymin = parseFloat(text(object, "bndbox > ymin"));
+        const xmax = parseFloat(text(object, "bndbox > xmax"));
+        const ymax = parseFloat(text(object, "bndbox > ymax"));
+        if ([xmin, ymin, xmax, ymax].some(Number.isNaN)) continue;
+        groundTruth.push({
+            category: normalizeCategory(text(object, ":scope > name")),
+            box: { originX: xmin, originY: ymin, width: xmax - xmin, height: ymax - ymin }
+        });
+    }
+    return { fileName: baseName(text(doc, "annotation > filename") || ""), groundTruth };
+}
+
+// --- Running ---
+
+/**
+ * Runs a detector over every image in the dataset.
+ * @param {Array<object>} images - From loadDataset().
+ * @param {object} detector - An ObjectDetector in IMAGE mode, created with
+ *   EVALUATION_SCORE_THRESHOLD and EVALUATION_MAX_RESULTS.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total).
+ * @param {Function} [options.shouldStop] - Return true to stop early.
+ * @returns {Promise<Array<object>>} - Per image: { name, file, width, height,
+ *   groundTruth, detections: [{ category, score, box }] }.
+ */
+export async function runEvaluation(images, detector, { onProgress = () => {}, shouldStop = () => false } = {}) {
+    const results = [];
+    for (const [index, image] of images.entries()) {
+        if (shouldStop()) break;
+
+        const bitmap = await createImageBitmap(image.file);
+        try {
+            const { detections } = detector.detect(bitmap);
+            results.push({
+                name: image.name,
+                file: image.file,
+                width: bitmap.width,
+                height: bitmap.height,
+                groundTruth: image.groundTruth,
+                detections: detections.map(detection => ({
+                    category: normalizeCategory(detection.categories[0].categoryName),
+                    score: detection.categories[0].score,
+                    box: { ...detection.boundingBox }
+                }))
+            });
+        } finally {
+            bitmap.close();
+        }
+
+        onProgress(index + 1, images.length);
+        // Let the page repaint between images
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return results;
+}
+
+// --- Scoring ---
+
+/**
+ * Scores the results of runEvaluation().
+ * @param {Array<object>} results
+ * @param {Function} thresholdFor - category name -> score a detection needs to
+ *   count, for precision/recall, the confusion matrix and errors.
+ * @returns {object} - { images, map50, map5095, classes: [{ category, groundTruth, tp, fp, fn,
+ *   precision, recall, ap50, ap5095 }], confusion: { labels, matrix }, errors: [...] }
+ */
+export function evaluate(results, thresholdFor) {
+    const gtCategories = new Set();
+    for (const result of results) {
+        for (const object of result.groundTruth) gtCategories.add(object.category);
+    }
+
+    // --- Threshold-independent: AP per class over the whole score range ---
+    const classes = [...gtCategories].sort().map(category => {
+        const aps = IOU_THRESHOLDS.map(threshold => averagePrecision(results, category, threshold));
+        return {
+            category,
+            groundTruth: 0,
+            tp: 0,
+            fp: 0,
+            fn: 0,
+            precision: 0,
+            recall: 0,
+            ap50: aps[0],
+            ap5095: mean(aps)
+        };
+    });
+    const byCategory = new Map(classes.map(entry => [entry.category, entry]));
+
+    // --- At the threshold: match, count and collect errors ---
+    const confusion = new Map(); // "gt\u0000predicted" -> count
+    const count = (gt, predicted) => {
+        const key = `${gt}\u0000${predicted}`;
+        confusion.set(key, (confusion.get(key) || 0) + 1);
+    };
+    const predictedCategories = new Set();
+    const errors = [];
+
+    results.forEach((result, imageIndex) => {
+        const detections = result.detections
+            .filter(detection => detection.score >= thresholdFor(detection.category))
+            .sort((a, b) => b.score - a.score);
+        const { matches, confusions, unmatchedDetections, unmatchedGroundTruth } = matchImage(detections, result.groundTruth);
+
+        for (const { detection, object } of matches) {
+            byCategory.get(object.category).tp++;
+            count(object.category, detection.category);
+        }
+        for (const { detection, object } of confusions) {
+            count(object.category, detection.category);
+            predictedCategories.add(detection.category);
+            errors.push({ kind: "mislabel", imageIndex, category: object.category, predicted: detection.category, score: detection.score, box: detection.box, groundTruthBox: object.box });
+        }
+        for (const detection of unmatchedDetections) {
+            count(BACKGROUND, detection.category);
+            predictedCategories.add(detection.category);
+            errors.push({ kind: "fp", imageIndex, category: detection.category, score: detection.score, box: detection.box });
+        }
+        for (const object of unmatchedGroundTruth) {
+            count(object.category, BACKGROUND);
+            errors.push({ kind: "fn", imageIndex, category: object.category, box: object.box });
+        }
+
+        // A wrong label is a false positive for one class and a miss for the other
+        for (const detection of [...confusions.map(pair => pair.detection), ...unmatchedDetections]) {
+            const entry = byCategory.get(detection.category);
+            if (entry) entry.fp++; // Classes with no ground truth have no row
+        }
+        for (const object of [...confusions.map(pair => pair.object), ...unmatchedGroundTruth]) {
+            byCategory.get(object.category).fn++;
+        }
+    });
+
+    for (const entry of classes) {
+        entry.groundTruth = entry.tp + entry.fn;
+        entry.precision = entry.tp + entry.fp > 0 ? entry.tp / (entry.tp + entry.fp) : 0;
+        entry.recall = entry.groundTruth > 0 ? entry.tp / entry.groundTruth : 0;
+    }
+
+    const labels = [...new Set([...gtCategories, ...predictedCategories])].sort();
+    labels.push(BACKGROUND);
+    const matrix = labels.map(gt => labels.map(predicted => confusion.get(`${gt}\u0000${predicted}`) || 0));
+
+    return {
+        images: results.length,
+        map50: mean(classes.map(entry => entry.ap50)),
+        map5095: mean(classes.map(entry => entry.ap5095)),
+        classes,
+        confusion: { labels, matrix },
+        errors
+    };
+}
+
+/**
+ * Matches one image's detections (highest score first) to its ground truth
+ * at IoU 0.5: same-class matches first, then what is left by box alone,
+ * which are wrong labels.
+ */
+function matchImage(detections, groundTruth) {
+    const used = new Set();
+    const matches = [];
+    const leftOver = [];
+
+    for (const detection of detections) {
+        const object = bestMatch(detection, groundTruth, used, 0.5, true);
+        if (object) {
+            used.add(object);
+            matches.push({ detection, object });
+        } else {
+            leftOver.push(detection);
+        }
+    }
+
+    const confusions = [];
+    const unmatchedDetections = [];
+    for (const detection of leftOver) {
+        const object = bestMatch(detection, groundTruth, used, 0.5, false);
+        if (object) {
+            used.add(object);
+            confusions.push({ detection, object });
+        } else {
+            unmatchedDetections.push(detection);
+        }
+    }
+
+    return {
+        matches,
+        confusions,
+        unmatchedDetections,
+        unmatchedGroundTruth: groundTruth.filter(object => !used.has(object))
+    };
+}
+
+function bestMatch(detection, groundTruth, used, iouThreshold, sameCategory) {
+    let best = null;
+    let bestIou = iouThreshold;
+    for (const object of groundTruth) {
+        if (used.has(object)) continue;
+        if (sameCategory && object.category !== detection.category) continue;
+        const overlap = iou(detection.box, object.box);
+        if (overlap >= bestIou) {
+            best = object;
+            bestIou = overlap;
+        }
+    }
+    return best;
+}
+
+/**
+ * COCO-style AP for one class at one IoU threshold: precision averaged at
+ * 101 recall points, each the best precision at that recall or higher.
+ */
+function averagePrecision(results, category, iouThreshold) {
+    let total = 0;
+    const scored = []; // { score, isTruePositive }
+
+    for (const result of results) {
+        const objects = result.groundTruth.filter(object => object.category === category);
+        total += objects.length;
+        const used = new Set();
+        const detections = result.detections
+            .filter(detection => detection.category === category)
+            .sort((a, b) => b.score - a.score);
+        for (const detection of detections) {
+            const object = bestMatch(detection, objects, used, iouThreshold, true);
+            if (object) used.add(object);
+            scored.push({ score: detection.score, isTruePositive: Boolean(object) });
+        }
+    }
+    if (total === 0) return 0;
+
+    scored.sort((a, b) => b.score - a.score);
+    const precisions = [];
+    const recalls = [];
+    let tp = 0;
+    scored.forEach((entry, i) => {
+        if (entry.isTruePositive) tp++;
+        precisions.push(tp / (i + 1));
+        recalls.push(tp / total);
+    });
+
+    // Make precision monotonically decreasing
+    for (let i = precisions.length - 2; i >= 0; i--) {
+        precisions[i] = Math.max(precisions[i], precisions[i + 1]);
+    }
+
+    let sum = 0;
+    let index = 0;
+    for (let point = 0; point <= 100; point++) {
+        const recall = point / 100;
+        while (index < recalls.length && recalls[index] < recall) index++;
+        sum += index < precisions.length ? precisions[index] : 0;
+    }
+    return sum / 101;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
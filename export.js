@@ -0,0 +1,222 @@
+// @ts-nocheck
+import { createZip } from "./zip.js";
+
+/**
+ * Detection recording & export.
+ * A recording session collects every frame's detections while it is running
+ * and can export them as JSON Lines, CSV, or a COCO-style dataset (a zip of
+ * captured frames plus annotations.json).
+ */
+
+const CSV_COLUMNS = [
+    "frame", "timestamp", "media_time", "source",
+    "track_id", "category", "score", "x", "y", "width", "height"
+];
+
+/**
+ * Creates an empty recording session.
+ * @param {object} [options]
+ * @param {number} [options.captureEvery=0] - Capture an image every N frames for COCO export (0 = never).
+ * @returns {object} - The session.
+ */
+export function createRecordingSession({ captureEvery = 0 } = {}) {
+    const frames = [];
+    const startedAt = new Date();
+
+    return {
+        captureEvery,
+        startedAt,
+
+        /**
+         * Records one frame.
+         * @param {object} frame
+         * @param {number} frame.timestamp - Wall-clock time in ms.
+         * @param {number} [frame.mediaTime] - Position in a video file, in seconds.
+         * @param {string} [frame.source] - Source description (camera, file or image name).
+         * @param {number} frame.width - Frame width in pixels.
+         * @param {number} frame.height - Frame height in pixels.
+         * @param {Array<object>} frame.detections - { trackId, category, score, box }
+         * @param {Promise<Blob>} [frame.image] - A captured frame, for COCO export.
+         */
+        addFrame(frame) {
+            frames.push({ index: frames.length, ...frame });
+        },
+
+        /**
+         * True if this frame number should have its image captured.
+         */
+        shouldCapture(frameIndex = frames.length) {
+            return captureEvery > 0 && frameIndex % captureEvery === 0;
+        },
+
+        getFrameCount: () => frames.length,
+        getDetectionCount: () => frames.reduce((sum, frame) => sum + frame.detections.length, 0),
+
+        toJsonLines: () => toJsonLines(frames),
+        toCsv: () => toCsv(frames),
+        toCoco: () => toCoco(frames, startedAt)
+    };
+}
+
+/**
+ * Converts a tracked detection into the flat shape stored in a session.
+ * @param {object} detection - A MediaPipe detection.
+ * @param {number} [trackId] - Tracker ID, if tracking is on.
+ */
+export function toRecordedDetection(detection, trackId) {
+    const box = detection.boundingBox;
+    return {
+        trackId: trackId ?? null,
+        category: detection.categories[0].categoryName,
+        score: detection.categories[0].score,
+        box: { x: box.originX, y: box.originY, width: box.width, height: box.height }
+    };
+}
+
+/**
+ * One JSON object per frame, one frame per line.
+ */
+function toJsonLines(frames) {
+    const lines = frames.map(frame => JSON.stringify({
+        frame: frame.index,
+        timestamp: frame.timestamp,
+        mediaTime: frame.mediaTime ?? null,
+        source: frame.source ?? null,
+        width: frame.width,
+        height: frame.height,
+        detections: frame.detections
+    }));
+    return new Blob([lines.join("\n") + "\n"], { type: "application/x-ndjson" });
+}
+
+/**
+ * One row per detection.
+ */
+function toCsv(frames) {
+    const rows = [CSV_COLUMNS.join(",")];
+    for (const frame of frames) {
+        for (const detection of frame.detections) {
+            rows.push([
+                frame.index,
+                frame.timestamp,
+                frame.mediaTime ?? "",
+                frame.source ?? "",
+                detection.trackId ?? "",
+                detection.category,
+                detection.score.toFixed(4),
+                detection.box.x.toFixed(1),
+                detection.box.y.toFixed(1),
+                detection.box.width.toFixed(1),
+                detection.box.height.toFixed(1)
+            ].map(csvField).join(","));
+        }
+    }
+    return new Blob([rows.join("\n") + "\n"], { type: "text/csv" });
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A COCO-style dataset: only frames with a captured image are included,
+ * since COCO annotations must point at an image file.
+ * @returns {Promise<Blob>} - A zip with annotations.json and images/.
+ */
+async function toCoco(frames, startedAt) {
+    const categoryIds = new Map();
+    const images = [];
+    const annotations = [];
+    const files = [];
+
+    for (const frame of frames) {
+        if (!frame.image) continue;
+
+        const blob = await frame.image;
+        if (!blob) continue; // Capture failed (e.g. the frame was not ready)
+
+        const imageId = images.length + 1;
+        const fileName = `frame_${String(frame.index).padStart(6, "0")}.jpg`;
+        images.push({
+            id: imageId,
+            file_name: fileName,
+            width: frame.width,
+            height: frame.height,
+            date_captured: new Date(frame.timestamp).toISOString()
+        });
+        files.push({ name: `images/${fileName}`, data: blob });
+
+        for (const detection of frame.detections) {
+            if (!categoryIds.has(detection.category)) {
+                categoryIds.set(detection.category, categoryIds.size + 1);
+            }
+            const { x, y, width, height } = detection.box;
+            annotations.push({
+                id: annotations.length + 1,
+                image_id: imageId,
+                category_id: categoryIds.get(detection.category),
+                bbox: [x, y, width, height],
+                area: width * height,
+                iscrowd: 0,
+                score: detection.score,
+                track_id: detection.trackId
+            });
+        }
+    }
+
+    const dataset = {
+        info: {
+            description: "Live Object Detector recording",
+            date_created: startedAt.toISOString()
+        },
+        images,
+        annotations,
+        categories: Array.from(categoryIds, ([name, id]) => ({ id, name, supercategory: "" }))
+    };
+
+    files.unshift({ name: "annotations.json", data: JSON.stringify(dataset, null, 2) });
+    return createZip(files);
+}
+
+/**
+ * Saves a Blob to the user's downloads folder.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Grabs the current frame of a video/image element as a JPEG.
+ * The pixels are copied synchronously, so the frame matches the detections
+ * even though encoding finishes later.
+ * @param {HTMLVideoElement|HTMLImageElement} element
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob|null>}
+ */
+export function captureFrame(element, width, height) {
+    const frameCanvas = document.createElement("canvas");
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    frameCanvas.getContext("2d").drawImage(element, 0, 0, width, height);
+    return new Promise(resolve => frameCanvas.toBlob(resolve, "image/jpeg", 0.9));
+}
+
+/**
+ * A timestamped file name, e.g. "detections-2024-05-01T12-00-00.csv".
+ */
+export function exportFileName(prefix, extension, date = new Date()) {
+    const stamp = date.toISOString().slice(0, 19).replace(/:/g, "-");
+    return `${prefix}-${stamp}.${extension}`;
+}
@@ -0,0 +1,229 @@
+// @ts-nocheck
+import { createTracker } from "./tracker.js";
+import { drawDetection } from "./draw.js";
+import { privacyBoxes, privacyDetections, renderAnonymized } from "./privacy.js";
+
+/**
+ * Camera grid: several cameras open at once, sharing one detector.
+ *
+ * The grid is an input source like the ones in sources.js (kind "grid"), but
+ * it has no single `element`. Instead the detection loop asks nextFeed() for
+ * the next camera with a frame it hasn't detected on yet, round-robin, so
+ * every camera gets an equal share of the detector however fast it is.
+ * Each feed keeps its own tracker, overlay and per-class counts, and in
+ * privacy mode (privacy.js) is shown through its own anonymised canvas.
+ *
+ * Zones, alerts, recording, clips and snapshots only work on single inputs.
+ */
+
+// Lower than a single camera: several USB cameras share the bus
+const FEED_CONSTRAINTS = {
+    width: { ideal: 640 },
+    height: { ideal: 480 }
+};
+
+/**
+ * Opens every camera in `devices` and lays them out in `container`.
+ * Cameras that fail to open get a tile with the error instead.
+ * @param {HTMLElement} container - The (empty) grid element.
+ * @param {Array<MediaDeviceInfo>} devices - The `videoinput` devices to open.
+ * @param {object} options
+ * @param {Function} options.colorFor - category name -> box colour.
+ * @param {Function} options.isFlipped - Returns true while the view is mirrored.
+ * @param {Function} options.getPrivacy - Returns the privacy settings.
+ * @returns {Promise<object>} - The grid source; rejects if no camera opened.
+ */
+export async function openCameraGrid(container, devices, { colorFor, isFlipped, getPrivacy }) {
+    const feeds = [];
+    let firstError;
+
+    // One at a time: some drivers fail when several cameras start together
+    for (const [index, device] of devices.entries()) {
+        const label = device.label || `Camera ${index + 1}`;
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { deviceId: { exact: device.deviceId }, ...FEED_CONSTRAINTS }
+            });
+            feeds.push(createFeed(label, stream));
+        } catch (error) {
+            console.warn(`Could not open ${label}:`, error);
+            firstError = firstError || error;
+            feeds.push(createFailedFeed(label, error));
+        }
+    }
+
+    const liveFeeds = feeds.filter(feed => feed.stream);
+    if (liveFeeds.length === 0) {
+        throw firstError || new Error("No cameras found");
+    }
+
+    container.replaceChildren(...feeds.map(feed => feed.tile));
+    container.style.setProperty("--grid-columns", Math.ceil(Math.sqrt(feeds.length)));
+    container.classList.remove("hidden");
+    for (const feed of liveFeeds) {
+        feed.video.play().catch(error => console.warn(`Could not play ${feed.label}:`, error));
+    }
+
+    let nextIndex = 0; // Where the round-robin continues
+
+    return {
+        kind: "grid",
+        runningMode: "VIDEO",
+        element: undefined,
+        feeds: liveFeeds,
+
+        isReady: () => liveFeeds.some(feed => feed.video.readyState >= 2),
+
+        // The largest feed, for anything that needs one frame size
+        getSize: () => liveFeeds.reduce((size, feed) => feed.video.videoWidth * feed.video.videoHeight > size.width * size.height
+            ? { width: feed.video.videoWidth, height: feed.video.videoHeight }
+            : size, { width: 0, height: 0 }),
+
+        /**
+         * The next feed with a frame that hasn't been detected on, taking
+         * turns. The frame is marked as detected, so only call this when the
+         * detector is free to take it.
+         * @returns {object|null}
+         */
+        nextFeed: () => {
+            for (let i = 0; i < liveFeeds.length; i++) {
+                const feed = liveFeeds[(nextIndex + i) % liveFeeds.length];
+                if (feed.video.readyState < 2 || feed.video.currentTime === feed.lastFrameKey) continue;
+
+                feed.lastFrameKey = feed.video.currentTime;
+                nextIndex = (nextIndex + i + 1) % liveFeeds.length;
+                return feed;
+            }
+            return null;
+        },
+
+        /**
+         * Draws every feed's current frame, anonymised, while privacy mode is
+         * on. Call once per animation frame.
+         */
+        render: () => {
+            const privacy = getPrivacy();
+            for (const feed of liveFeeds) {
+                if (!privacy.enabled) {
+                    feed.privacyRegions = null; // Hide everything again until it is back on and detected
+                    feed.privacyTracker.reset();
+                    continue;
+                }
+                const { video } = feed;
+                if (video.readyState < 2) continue;
+                renderAnonymized(feed.frameCanvas, video, video.videoWidth, video.videoHeight, feed.privacyRegions || [], {
+                    effect: privacy.effect,
+                    hideAll: !feed.privacyRegions
+                });
+            }
+        },
+
+        /**
+         * Takes one feed's detections: tracks, counts and draws them.
+         * @param {object} feed - From nextFeed().
+         * @param {Array<object>} detections - After class filtering.
+         * @param {number} timestamp
+         * @param {Array<object>} rawDetections - Before class filtering, for privacy mode.
+         * @returns {Array<object>} - The tracks matched on this frame.
+         */
+        update: (feed, detections, timestamp, rawDetections) => {
+            const { canvas, ctx, video } = feed;
+            if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+            }
+
+            const tracks = feed.tracker.update(detections, timestamp);
+            const privacy = getPrivacy();
+            if (privacy.enabled) {
+                feed.privacyTracker.update(privacyDetections(rawDetections, privacy), timestamp);
+                feed.privacyRegions = privacyBoxes(rawDetections, feed.privacyTracker.getTracks(), privacy);
+            }
+
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            for (const track of tracks) {
+                const category = track.detection.categories[0].categoryName;
+                drawDetection(ctx, track.detection, { isFlipped: isFlipped(), color: colorFor(category), trackId: track.id });
+            }
+
+            const counts = {};
+            for (const track of tracks) {
+                const category = track.detection.categories[0].categoryName;
+                counts[category] = (counts[category] || 0) + 1;
+            }
+            feed.counts = counts;
+            feed.countsElement.textContent = Object.entries(counts)
+                .map(([category, count]) => `${category}: ${count}`)
+                .join(", ") || "Nothing detected";
+
+            return tracks;
+        },
+
+        stop: () => {
+            for (const feed of liveFeeds) {
+                feed.stream.getTracks().forEach(track => track.stop());
+            }
+            container.replaceChildren();
+            container.classList.add("hidden");
+        }
+    };
+}
+
+/**
+ * One camera's tile: its video, anonymised frame (privacy mode), overlay
+ * and caption.
+ */
+function createFeed(label, stream) {
+    const tile = createTile(label);
+
+    const video = document.createElement("video");
+    video.autoplay = true;
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+
+    const frameCanvas = document.createElement("canvas");
+    frameCanvas.className = "gridFrame";
+
+    const canvas = document.createElement("canvas");
+    tile.prepend(video, frameCanvas, canvas);
+
+    return {
+        label,
+        stream,
+        tile,
+        video,
+        frameCanvas,
+        canvas,
+        ctx: canvas.getContext("2d"),
+        countsElement: tile.querySelector(".gridCounts"),
+        tracker: createTracker(),
+        privacyTracker: createTracker(), // The hidden categories, whatever the class filter shows
+        lastFrameKey: undefined,
+        counts: {},
+        privacyRegions: null
+    };
+}
+
+function createFailedFeed(label, error) {
+    const tile = createTile(label);
+    tile.classList.add("failed");
+    tile.querySelector(".gridCounts").textContent = error.message || error.name;
+    return { label, stream: null, tile };
+}
+
+function createTile(label) {
+    const tile = document.createElement("div");
+    tile.className = "gridTile";
+
+    const caption = document.createElement("div");
+    caption.className = "gridCaption";
+    const name = document.createElement("strong");
+    name.textContent = label;
+    const counts = document.createElement("span");
+    counts.className = "gridCounts";
+    caption.append(name, counts);
+
+    tile.appendChild(caption);
+    return tile;
+}
@@ -0,0 +1,85 @@
+// @ts-nocheck
+
+/**
+ * Tiny promise wrapper around IndexedDB.
+ * All persistent browser storage for the app lives in one database; the
+ * object stores are declared here so every module upgrades it the same way.
+ */
+
+const DB_NAME = "live-object-detector";
+const DB_VERSION = 3;
+
+// Object store name -> options passed to createObjectStore()
+const STORES = {
+    snapshots: { keyPath: "id", autoIncrement: true },
+    customModels: { keyPath: "id", autoIncrement: true },
+    modelIndex: { keyPath: "url" },
+    partialDownloads: { keyPath: "url" }
+};
+
+let dbPromise;
+
+/**
+ * Opens (and if needed creates/upgrades) the app database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry if opening failed (e.g. private browsing)
+        dbPromise.catch(() => { dbPromise = undefined; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against a store and resolves with its result.
+ * @param {string} storeName
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} callback
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Adds or replaces a record. Resolves with its key.
+ */
+export function putRecord(storeName, value, key) {
+    return withStore(storeName, "readwrite", store => store.put(value, key));
+}
+
+export function getRecord(storeName, key) {
+    return withStore(storeName, "readonly", store => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+    return withStore(storeName, "readonly", store => store.getAll());
+}
+
+export function deleteRecord(storeName, key) {
+    return withStore(storeName, "readwrite", store => store.delete(key));
+}
+
+export function clearStore(storeName) {
+    return withStore(storeName, "readwrite", store => store.clear());
+}
@@ -0,0 +1,121 @@
+// @ts-nocheck
+
+/**
+ * Inference worker.
+ * Runs the ObjectDetector off the main thread so the UI and sliders stay
+ * responsive. Frames arrive as ImageBitmaps; results go back as plain
+ * detection objects. Only one frame is ever in flight (see worker-detector.js),
+ * so nothing queues up here.
+ *
+ * Messages in:
+ *   { type: "init", id, modelBuffer, options }
+ *   { type: "setOptions", id, options }
+ *   { type: "detect", frameId, frame, timestamp, runningMode }
+ *   { type: "close" }
+ * Messages out:
+ *   { type: "done", id } / { type: "error", id, message }
+ *   { type: "detections", frameId, timestamp, detections, inferenceMs }
+ *   { type: "contextlost" } - the GPU delegate's WebGL context is gone
+ */
+
+// MediaPipe loads its WASM glue with importScripts(), which module workers
+// don't have. A synchronous XHR + global eval does the same job.
+if (typeof self.importScripts !== "function") {
+    self.importScripts = (url) => {
+        const request = new XMLHttpRequest();
+        request.open("GET", url, false);
+        request.send();
+        if (request.status !== 200) {
+            throw new Error(`Failed to load ${url} (${request.status})`);
+        }
+        (0, eval)(request.responseText); // Indirect eval: runs in global scope
+    };
+}
+
+// Loaded in the background; the message listener must be attached right
+// away or the "init" message could arrive before anyone is listening
+const visionBundle = import("./mediapipe_wasm/vision_bundle.mjs");
+
+let objectDetector;
+let runningMode = "VIDEO";
+
+self.addEventListener("message", async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case "init":
+                await init(message.modelBuffer, message.options);
+                self.postMessage({ type: "done", id: message.id });
+                break;
+
+            case "setOptions":
+                await objectDetector.setOptions(message.options);
+                if (message.options.runningMode) runningMode = message.options.runningMode;
+                self.postMessage({ type: "done", id: message.id });
+                break;
+
+            case "detect":
+                await detect(message);
+                break;
+
+            case "close":
+                if (objectDetector) objectDetector.close();
+                objectDetector = undefined;
+                self.close();
+                break;
+        }
+    } catch (error) {
+        if (message.type === "detect") {
+            message.frame.close();
+        }
+        self.postMessage({ type: "error", id: message.id, frameId: message.frameId, message: error.message });
+    }
+});
+
+async function init(modelBuffer, options) {
+    const { ObjectDetector, FilesetResolver } = await visionBundle;
+    const vision = await FilesetResolver.forVisionTasks("./mediapipe_wasm");
+
+    // MediaPipe in a worker needs an OffscreenCanvas for its WebGL context
+    const canvas = new OffscreenCanvas(1, 1);
+    canvas.addEventListener("webglcontextlost", () => {
+        self.postMessage({ type: "contextlost" });
+    });
+
+    objectDetector = await ObjectDetector.createFromOptions(vision, {
+        ...options,
+        baseOptions: { ...options.baseOptions, modelAssetBuffer: modelBuffer },
+        canvas
+    });
+    runningMode = options.runningMode || "VIDEO";
+}
+
+async function detect({ frameId, frame, timestamp, runningMode: frameMode }) {
+    if (frameMode !== runningMode) {
+        await objectDetector.setOptions({ runningMode: frameMode });
+        runningMode = frameMode;
+    }
+
+    const start = performance.now();
+    const results = runningMode === "IMAGE"
+        ? objectDetector.detect(frame)
+        : objectDetector.detectForVideo(frame, timestamp);
+    const inferenceMs = performance.now() - start;
+    frame.close();
+
+    self.postMessage({
+        type: "detections",
+        frameId,
+        timestamp,
+        inferenceMs,
+        // Copy into plain objects so they survive structured cloning
+        detections: results.detections.map(detection => ({
+            categories: detection.categories.map(({ index, score, categoryName, displayName }) => ({
+                index, score, categoryName, displayName
+            })),
+            boundingBox: { ...detection.boundingBox },
+            keypoints: detection.keypoints || []
+        }))
+    });
+}
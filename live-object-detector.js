@@ -0,0 +1,672 @@
+// @ts-nocheck
+import { createTracker } from "./tracker.js";
+import { createCameraSource, createVideoFileSource } from "./sources.js";
+import { toRecordedDetection } from "./export.js";
+import { toDetectorOptions, filterDetections, DEFAULT_BOX_COLOR } from "./classes.js";
+import { inspectModel } from "./model-inspector.js";
+import { loadModel } from "./model-cache.js";
+import { probeGpuSupport, buildWithFallback, isGpuError, createGpuCanvas } from "./delegate.js";
+import { createWorkerDetector, isWorkerInferenceSupported } from "./worker-detector.js";
+import { drawDetection } from "./draw.js";
+
+/**
+ * The detector as a building block for other pages: a <live-object-detector>
+ * element, and the LiveObjectDetector class behind it for pages that would
+ * rather not use custom elements.
+ *
+ *   <script type="module" src="live-object-detector.js"></script>
+ *   <live-object-detector threshold="0.6" classes="person,car" class-mode="allow"></live-object-detector>
+ *
+ *   const detector = new LiveObjectDetector(someDiv, { threshold: 0.6 });
+ *   detector.addEventListener("detections", (event) => console.log(event.detail.detections));
+ *   await detector.start();
+ *
+ * Each instance has its own video, overlay, detector and tracker, so several
+ * can run on one page; model files are only downloaded once.
+ *
+ * Attributes (and the options they set):
+ *   model        (model)       .tflite path or URL, relative to the page
+ *   max-results  (maxResults)
+ *   threshold    (threshold)   0 - 1
+ *   classes      (classes)     Comma-separated category names...
+ *   class-mode   (classMode)   ...and what to do with them: "all", "allow" or "deny"
+ *   delegate     (delegate)    "auto", "GPU" or "CPU"
+ *   inference    (inference)   "worker" or "main"
+ *   camera       (camera)      Device ID, or "user" / "environment"
+ *   src          (src)         Video URL to detect on instead of the camera
+ *   flip         (flip)        Mirror the picture (boolean attribute)
+ *   controls     (controls)    Show start/stop, threshold and flip controls (boolean)
+ *   autostart="false"          Don't start when added to the page; call start()
+ *
+ * Events (on the element they bubble out of its shadow root):
+ *   - "modelloaded": detail { model, info, delegate, inference }
+ *   - "detections":  detail { timestamp, width, height,
+ *                             detections: [{ trackId, category, score, box: { x, y, width, height } }] }
+ *   - "error":       detail { message, error }
+ */
+
+const DEFAULT_OPTIONS = {
+    model: new URL("./efficientdet_lite0.tflite", import.meta.url).href,
+    maxResults: 5,
+    threshold: 0.5,
+    classes: [],
+    classMode: "all",
+    delegate: "auto",
+    inference: "worker",
+    camera: "",
+    src: "",
+    flip: false,
+    controls: false,
+    boxColor: DEFAULT_BOX_COLOR
+};
+
+// Options that need a new ObjectDetector; the rest go through setOptions()
+const RELOAD_OPTIONS = ["model", "delegate", "inference"];
+const DETECTOR_OPTIONS = ["maxResults", "threshold", "classes", "classMode"];
+
+// Shared by every instance on the page
+let visionPromise;
+const modelBuffers = new Map(); // Absolute URL -> Promise<Uint8Array>
+
+function loadVision() {
+    if (!visionPromise) {
+        visionPromise = (async () => {
+            const { ObjectDetector, FilesetResolver } = await import("./mediapipe_wasm/vision_bundle.mjs");
+            const vision = await FilesetResolver.forVisionTasks(new URL("./mediapipe_wasm", import.meta.url).href);
+            return { ObjectDetector, vision };
+        })();
+        visionPromise.catch(() => { visionPromise = undefined; });
+    }
+    return visionPromise;
+}
+
+function loadModelBuffer(url) {
+    if (!modelBuffers.has(url)) {
+        const promise = loadModel(url, () => {});
+        modelBuffers.set(url, promise);
+        promise.catch(() => modelBuffers.delete(url));
+    }
+    return modelBuffers.get(url);
+}
+
+function closeDetector(detector) {
+    try {
+        detector.close();
+    } catch (error) {
+        // A detector whose GPU context was lost may not close cleanly
+        console.warn("Could not close the detector:", error);
+    }
+}
+
+export class LiveObjectDetector extends EventTarget {
+    #options;
+    #view;
+    #controls;
+    #tracker = createTracker();
+    #tracks = [];
+    #source;
+    #detector;
+    #loading;           // Promise of the detector being (re)built
+    #loadCount = 0;     // Bumped by unload(), so a build it overtook is thrown away
+    #activeDelegate;
+    #modelInfo;
+    #gpuFailed = false;
+    #recoveringFromGpu = false;
+    #paused = false;    // While setOptions() runs on the detector
+    #lastFrameKey;
+    #frameHandle;
+    #runCount = 0;      // Bumped by start() and stop(), so a start() that was overtaken gives up
+
+    /**
+     * @param {HTMLElement} container - Where to put the video and overlay.
+     * @param {object} [options] - See DEFAULT_OPTIONS and the attribute list above.
+     */
+    constructor(container, options = {}) {
+        super();
+        this.#options = { ...DEFAULT_OPTIONS, ...options };
+        this.#view = createView(container);
+        this.#applyFlip();
+        this.#updateControls();
+    }
+
+    /** True while an input is being detected on. */
+    get isRunning() {
+        return this.#source !== undefined;
+    }
+
+    /** "GPU" or "CPU", once the model has loaded. */
+    get delegate() {
+        return this.#activeDelegate;
+    }
+
+    /** What inspectModel() found in the model, once it has loaded. */
+    get modelInfo() {
+        return this.#modelInfo;
+    }
+
+    getOptions() {
+        return { ...this.#options };
+    }
+
+    /**
+     * Loads the model (if needed) and starts detecting.
+     * @param {string|File|MediaStream} [input] - A video URL or file, or a
+     *   stream. Defaults to the `src` option, or else the camera.
+     */
+    async start(input = this.#options.src) {
+        this.stop();
+        const run = this.#runCount;
+        // A later start() or stop() has taken over; it also stopped this.#source
+        const isOvertaken = () => run !== this.#runCount;
+
+        try {
+            const loading = this.#ensureDetector();
+
+            let source;
+            if (input instanceof MediaStream) {
+                source = createCameraSource(this.#view.video, input);
+            } else if (input) {
+                source = createVideoFileSource(this.#view.video, input);
+                this.#view.video.loop = true;
+            } else {
+                const stream = await this.#openCamera();
+                if (isOvertaken()) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                source = createCameraSource(this.#view.video, stream);
+            }
+
+            this.#source = source;
+            this.#lastFrameKey = undefined;
+            this.#tracker.reset();
+            this.#updateControls();
+            if (source.play) await source.play();
+            if (isOvertaken()) return;
+
+            await loading;
+            if (isOvertaken()) return;
+            this.#frameHandle = requestAnimationFrame(this.#predictFrame);
+        } catch (error) {
+            if (isOvertaken()) return;
+            this.#emitError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stops detecting and releases the camera. The model stays loaded.
+     */
+    stop() {
+        this.#runCount++;
+        cancelAnimationFrame(this.#frameHandle);
+        if (this.#source) {
+            this.#source.stop();
+            this.#source = undefined;
+        }
+        this.#tracks = [];
+        this.#render();
+        this.#updateControls();
+    }
+
+    /**
+     * Changes options. Thresholds and class filters apply straight away;
+     * a new model, delegate or inference thread rebuilds the detector, and a
+     * new camera or src restarts the input.
+     * @param {object} options
+     */
+    async setOptions(options) {
+        const previous = this.#options;
+        this.#options = { ...previous, ...options };
+        const changed = name => name in options && JSON.stringify(options[name]) !== JSON.stringify(previous[name]);
+
+        if (changed("flip")) this.#applyFlip();
+        this.#updateControls();
+
+        try {
+            if (this.#detector || this.#loading) {
+                if (RELOAD_OPTIONS.some(changed)) {
+                    // An explicit delegate gives the GPU another chance
+                    if (changed("delegate")) this.#gpuFailed = false;
+                    await this.#reload();
+                } else if (DETECTOR_OPTIONS.some(changed)) {
+                    await this.#updateDetectorOptions();
+                }
+            }
+            if ((changed("src") || changed("camera")) && this.isRunning) {
+                await this.start();
+            }
+        } catch (error) {
+            this.#emitError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Frees the detector (its WebGL context, or the inference worker). The
+     * next start() loads it again.
+     */
+    unload() {
+        this.#loadCount++;
+        this.#loading = undefined;
+        if (this.#detector) closeDetector(this.#detector);
+        this.#detector = undefined;
+        this.#activeDelegate = undefined;
+    }
+
+    /**
+     * Stops, frees the detector and removes the view.
+     */
+    close() {
+        this.stop();
+        this.unload();
+        this.#view.root.remove();
+    }
+
+    // --- Model & detector ---
+
+    #ensureDetector() {
+        if (this.#detector) return Promise.resolve();
+        if (!this.#loading) this.#reload();
+        return this.#loading;
+    }
+
+    #reload() {
+        const loading = this.#loadDetector().finally(() => {
+            if (this.#loading === loading) this.#loading = undefined;
+        });
+        this.#loading = loading;
+        return loading;
+    }
+
+    async #loadDetector() {
+        const load = this.#loadCount;
+        const { model, maxResults, delegate: preference } = this.#options;
+        const modelUrl = new URL(model, document.baseURI).href;
+
+        const [{ ObjectDetector, vision }, modelBuffer] = await Promise.all([loadVision(), loadModelBuffer(modelUrl)]);
+        const info = await inspectModel(modelBuffer);
+
+        const support = await probeGpuSupport();
+        const detectorOptions = {
+            runningMode: "VIDEO",
+            maxResults,
+            ...toDetectorOptions(this.#classSettings(), this.#options.threshold)
+        };
+
+        const { detector, delegate, gpuFailed } = await buildWithFallback({
+            preference,
+            support,
+            gpuFailed: this.#gpuFailed || this.#recoveringFromGpu,
+            build: delegate => this.#createDetector(ObjectDetector, vision, modelBuffer, {
+                ...detectorOptions,
+                baseOptions: { delegate }
+            })
+        });
+        if (gpuFailed || this.#recoveringFromGpu) this.#gpuFailed = true;
+
+        // unload() was called while this was loading
+        if (load !== this.#loadCount) {
+            closeDetector(detector);
+            return;
+        }
+
+        if (this.#detector) closeDetector(this.#detector);
+        this.#detector = detector;
+        this.#activeDelegate = delegate;
+        this.#modelInfo = info;
+        this.#lastFrameKey = undefined;
+
+        this.#emit("modelloaded", {
+            model: modelUrl,
+            info,
+            delegate,
+            inference: detector.isWorker ? "worker" : "main"
+        });
+    }
+
+    async #createDetector(ObjectDetector, vision, modelBuffer, detectorOptions) {
+        if (this.#options.inference === "worker" && isWorkerInferenceSupported()) {
+            try {
+                const detector = await createWorkerDetector(modelBuffer, detectorOptions);
+                detector.addEventListener("detections", (event) => {
+                    this.#handleResults(event.detail.detections, event.detail.context);
+                });
+                detector.addEventListener("error", (event) => {
+                    this.#handleGpuFailure(new Error(event.detail.message));
+                });
+                detector.addEventListener("contextlost", () => {
+                    this.#handleGpuFailure(new Error("WebGL context lost in the inference worker"));
+                });
+                return detector;
+            } catch (error) {
+                console.warn("Worker inference unavailable, using the main thread:", error);
+            }
+        }
+
+        const gpuCanvas = createGpuCanvas();
+        gpuCanvas.addEventListener("webglcontextlost", () => {
+            this.#handleGpuFailure(new Error("WebGL context lost"));
+        });
+        return ObjectDetector.createFromOptions(vision, {
+            ...detectorOptions,
+            baseOptions: { ...detectorOptions.baseOptions, modelAssetBuffer: modelBuffer },
+            canvas: gpuCanvas
+        });
+    }
+
+    async #updateDetectorOptions() {
+        if (!this.#detector) return;
+        this.#paused = true;
+        try {
+            await this.#detector.setOptions({
+                maxResults: this.#options.maxResults,
+                ...toDetectorOptions(this.#classSettings(), this.#options.threshold)
+            });
+        } finally {
+            this.#paused = false;
+        }
+    }
+
+    /**
+     * The GPU stopped working: rebuild on the CPU (see delegate.js). Other
+     * detection errors leave the delegate alone.
+     */
+    #handleGpuFailure(error) {
+        if (this.#activeDelegate !== "GPU" || this.#loading || !isGpuError(error)) {
+            console.error("Detection failed:", error);
+            return;
+        }
+        console.warn("GPU delegate failed, switching to the CPU:", error);
+        // #loadDetector() marks the GPU as failed once the CPU works
+        this.#recoveringFromGpu = true;
+        this.#reload()
+            .catch(reloadError => this.#emitError(reloadError))
+            .finally(() => {
+                this.#recoveringFromGpu = false;
+            });
+    }
+
+    // In the shape classes.js works with
+    #classSettings() {
+        return {
+            mode: this.#options.classMode,
+            categories: this.#options.classes,
+            thresholds: {},
+            colors: {}
+        };
+    }
+
+    #openCamera() {
+        const { camera } = this.#options;
+        let video = true;
+        if (camera === "user" || camera === "environment") {
+            video = { facingMode: camera };
+        } else if (camera) {
+            video = { deviceId: { exact: camera } };
+        }
+        return navigator.mediaDevices.getUserMedia({ video, audio: false });
+    }
+
+    // --- Detection loop ---
+
+    #predictFrame = () => {
+        const source = this.#source;
+        if (!source) return;
+        this.#frameHandle = requestAnimationFrame(this.#predictFrame);
+
+        const detector = this.#detector;
+        if (!detector || this.#loading || this.#paused || !source.isReady()) return;
+
+        const { canvas } = this.#view;
+        const { width, height } = source.getSize();
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const frameKey = source.getFrameKey();
+        if (frameKey === this.#lastFrameKey) return;
+
+        const timestamp = Date.now();
+        const frame = { source, timestamp, width, height };
+
+        if (detector.isWorker) {
+            if (detector.isBusy()) return;
+            this.#lastFrameKey = frameKey;
+            detector.submit(source.element, timestamp, "VIDEO", frame)
+                .catch(error => console.error("Could not send frame to worker:", error));
+        } else {
+            this.#lastFrameKey = frameKey;
+            let results;
+            try {
+                results = detector.detectForVideo(source.element, timestamp);
+            } catch (error) {
+                this.#handleGpuFailure(error);
+                return;
+            }
+            this.#handleResults(results.detections, frame);
+        }
+    };
+
+    #handleResults(rawDetections, frame) {
+        // The input changed while this frame was in flight
+        if (!frame || frame.source !== this.#source) return;
+
+        const detections = filterDetections(rawDetections, this.#classSettings(), this.#options.threshold);
+        this.#tracks = this.#tracker.update(detections, frame.timestamp);
+        this.#render();
+
+        this.#emit("detections", {
+            timestamp: frame.timestamp,
+            width: frame.width,
+            height: frame.height,
+            detections: this.#tracks.map(track => toRecordedDetection(track.detection, track.id))
+        });
+    }
+
+    #render() {
+        const { canvas, ctx } = this.#view;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        for (const track of this.#tracks) {
+            drawDetection(ctx, track.detection, {
+                isFlipped: this.#options.flip,
+                color: this.#options.boxColor,
+                trackId: track.id
+            });
+        }
+    }
+
+    // --- View ---
+
+    #applyFlip() {
+        this.#view.video.style.transform = this.#options.flip ? "scaleX(-1)" : "";
+        this.#render();
+    }
+
+    #updateControls() {
+        if (!this.#options.controls) {
+            if (this.#controls) this.#controls.bar.hidden = true;
+            return;
+        }
+        if (!this.#controls) {
+            this.#controls = createControls(this.#view.root, {
+                toggle: () => this.isRunning ? this.stop() : this.start().catch(() => {}),
+                threshold: (value) => this.setOptions({ threshold: value }).catch(() => {}),
+                flip: () => this.setOptions({ flip: !this.#options.flip })
+            });
+        }
+        const { bar, toggleButton, thresholdSlider, thresholdValue } = this.#controls;
+        bar.hidden = false;
+        toggleButton.textContent = this.isRunning ? "Stop" : "Start";
+        thresholdSlider.value = this.#options.threshold;
+        thresholdValue.textContent = `${Math.round(this.#options.threshold * 100)}%`;
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    #emitError(error) {
+        console.error("live-object-detector:", error);
+        this.#emit("error", { message: error.message, error });
+    }
+}
+
+/**
+ * The video with the overlay canvas on top, scaled together.
+ */
+function createView(container) {
+    const root = document.createElement("div");
+    root.style.cssText = "position: relative; width: 100%; height: 100%; background: #000; overflow: hidden;";
+
+    const video = document.createElement("video");
+    video.autoplay = true;
+    video.muted = true;
+    video.playsInline = true;
+    video.style.cssText = "display: block; width: 100%; height: 100%; object-fit: contain;";
+
+    // Same size and fit as the video, so the boxes line up with it
+    const canvas = document.createElement("canvas");
+    canvas.style.cssText = "position: absolute; inset: 0; width: 100%; height: 100%; object-fit: contain; pointer-events: none;";
+
+    root.append(video, canvas);
+    container.appendChild(root);
+    return { root, video, canvas, ctx: canvas.getContext("2d") };
+}
+
+/**
+ * A small control bar along the bottom of the view.
+ */
+function createControls(root, handlers) {
+    const bar = document.createElement("div");
+    bar.style.cssText = "position: absolute; left: 0; right: 0; bottom: 0; display: flex; align-items: center; gap: 8px; padding: 6px 8px; background: rgba(0, 0, 0, 0.6); color: #fff; font: 12px sans-serif;";
+
+    const toggleButton = document.createElement("button");
+    toggleButton.addEventListener("click", handlers.toggle);
+
+    const thresholdSlider = document.createElement("input");
+    thresholdSlider.type = "range";
+    thresholdSlider.min = "0";
+    thresholdSlider.max = "1";
+    thresholdSlider.step = "0.01";
+    thresholdSlider.title = "Confidence threshold";
+    thresholdSlider.style.flexGrow = "1";
+    thresholdSlider.addEventListener("change", () => handlers.threshold(parseFloat(thresholdSlider.value)));
+
+    const thresholdValue = document.createElement("span");
+
+    const flipButton = document.createElement("button");
+    flipButton.textContent = "Flip";
+    flipButton.addEventListener("click", handlers.flip);
+
+    bar.append(toggleButton, thresholdSlider, thresholdValue, flipButton);
+    root.appendChild(bar);
+    return { bar, toggleButton, thresholdSlider, thresholdValue };
+}
+
+// --- Custom element ---
+
+const parseList = value => value.split(",").map(item => item.trim()).filter(Boolean);
+
+// Attribute -> [option, parse]; booleans are true when the attribute is present
+const ATTRIBUTES = {
+    "model": ["model", String],
+    "max-results": ["maxResults", value => parseInt(value, 10)],
+    "threshold": ["threshold", parseFloat],
+    "classes": ["classes", parseList],
+    "class-mode": ["classMode", String],
+    "delegate": ["delegate", String],
+    "inference": ["inference", String],
+    "camera": ["camera", String],
+    "src": ["src", String],
+    "flip": ["flip", Boolean],
+    "controls": ["controls", Boolean]
+};
+
+function readAttribute(element, name) {
+    const [option, parse] = ATTRIBUTES[name];
+    const value = element.getAttribute(name);
+    if (parse === Boolean) return value !== null;
+    if (value === null) return DEFAULT_OPTIONS[option];
+    const parsed = parse(value);
+    return Number.isNaN(parsed) ? DEFAULT_OPTIONS[option] : parsed;
+}
+
+export class LiveObjectDetectorElement extends HTMLElement {
+    static get observedAttributes() {
+        return Object.keys(ATTRIBUTES);
+    }
+
+    #detector;
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: "open" });
+        shadow.innerHTML = `
+            <style>
+                :host { display: block; position: relative; aspect-ratio: 16 / 9; background: #000; }
+                :host([hidden]) { display: none; }
+                .view { position: absolute; inset: 0; }
+            </style>
+            <div class="view" part="view"></div>`;
+
+        const options = {};
+        for (const name of Object.keys(ATTRIBUTES)) {
+            options[ATTRIBUTES[name][0]] = readAttribute(this, name);
+        }
+        this.#detector = new LiveObjectDetector(shadow.querySelector(".view"), options);
+
+        // Re-fired from the element, so listeners on the page see them
+        for (const type of ["modelloaded", "detections", "error"]) {
+            this.#detector.addEventListener(type, (event) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+            });
+        }
+    }
+
+    /** The LiveObjectDetector doing the work. */
+    get detector() {
+        return this.#detector;
+    }
+
+    connectedCallback() {
+        // The model is loaded again by start(), if it was freed
+        if (this.getAttribute("autostart") !== "false") {
+            // Failures are reported as "error" events
+            this.#detector.start().catch(() => {});
+        }
+    }
+
+    disconnectedCallback() {
+        this.#detector.stop();
+        // Browsers allow only a handful of WebGL contexts, so a removed
+        // element gives its one back. Moving the element reconnects it
+        // straight away, and keeps the model.
+        queueMicrotask(() => {
+            if (!this.isConnected) this.#detector.unload();
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        const option = ATTRIBUTES[name][0];
+        this.#detector.setOptions({ [option]: readAttribute(this, name) }).catch(() => {});
+    }
+
+    start(input) {
+        return this.#detector.start(input);
+    }
+
+    stop() {
+        this.#detector.stop();
+    }
+
+    setOptions(options) {
+        return this.#detector.setOptions(options);
+    }
+}
+
+if (!customElements.get("live-object-detector")) {
+    customElements.define("live-object-detector", LiveObjectDetectorElement);
+}
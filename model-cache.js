@@ -0,0 +1,339 @@
+// @ts-nocheck
+import { getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from "./idb.js";
+
+/**
+ * Persistent model cache.
+ * Model files are kept in Cache Storage so a reload doesn't download them
+ * again. Next to each one, IndexedDB ("modelIndex") keeps its ETag, size,
+ * SHA-256 and when it was last used:
+ *   - The hash is checked on every read, so a corrupted entry is dropped
+ *     and downloaded again instead of crashing the detector.
+ *   - The ETag is compared with the server's (when online) to pick up new
+ *     versions of a model.
+ *   - lastUsed drives LRU eviction once the cache is over its size budget.
+ *
+ * Interrupted downloads are kept in IndexedDB ("partialDownloads") and
+ * resumed with a Range request, both within a session and after a reload.
+ */
+
+export const MODEL_CACHE_NAME = "models-v1";
+const DEFAULT_BUDGET_BYTES = 200 * 1024 * 1024;
+const PARTIAL_SAVE_INTERVAL = 2 * 1024 * 1024; // Save progress every 2 MB
+const MAX_RETRIES = 3;
+
+// Cache Storage only exists in secure contexts (https or localhost)
+const hasCacheStorage = typeof caches !== "undefined";
+
+/**
+ * Returns a model's bytes, from the persistent cache if possible.
+ * @param {string} path - Path or URL of the .tflite file.
+ * @param {(percentage: number, downloadedMB: string, totalMB: string) => void} progressCallback - Function to update UI.
+ * @param {object} [options]
+ * @param {number} [options.budgetBytes] - Maximum total size of cached models.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function loadModel(path, progressCallback, { budgetBytes = DEFAULT_BUDGET_BYTES } = {}) {
+    const url = new URL(path, location.href).href;
+
+    if (hasCacheStorage) {
+        const entry = await getRecord("modelIndex", url).catch(() => undefined);
+        if (entry) {
+            const bytes = await readCachedModel(url, entry);
+            if (bytes && await isStillCurrent(url, entry)) {
+                await putRecord("modelIndex", { ...entry, lastUsed: Date.now() });
+                const sizeMB = toMB(bytes.length);
+                progressCallback(100, sizeMB, sizeMB);
+                return bytes;
+            }
+        }
+    }
+
+    const { bytes, validator } = await downloadModelWithProgress(url, progressCallback);
+
+    if (hasCacheStorage) {
+        try {
+            await storeModel(url, bytes, validator);
+            await evictToBudget(budgetBytes, url);
+        } catch (error) {
+            // Quota exceeded, etc. The model still works, it just isn't kept.
+            console.error("Could not cache model:", error);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Makes sure models are in the persistent cache, downloading the missing
+ * ones quietly in the background. This is how a model gets to work offline
+ * before it has ever run, e.g. the faster one adaptive quality switches to.
+ * Failures are logged, not thrown: the model will be fetched when used.
+ * @param {Array<string>} paths - Paths or URLs of .tflite files.
+ * @param {object} [options]
+ * @param {number} [options.budgetBytes] - Maximum total size of cached models.
+ */
+export async function precacheModels(paths, { budgetBytes = DEFAULT_BUDGET_BYTES } = {}) {
+    if (!hasCacheStorage) return;
+
+    for (const path of new Set(paths)) {
+        const url = new URL(path, location.href).href;
+        try {
+            if (await getRecord("modelIndex", url)) continue;
+            const { bytes, validator } = await downloadModelWithProgress(url, () => {});
+            await storeModel(url, bytes, validator);
+            await evictToBudget(budgetBytes, url);
+        } catch (error) {
+            console.warn(`Could not precache model ${path}:`, error);
+        }
+    }
+}
+
+/**
+ * Downloads a model file, tracks progress, and returns its bytes.
+ * Resumes from a saved partial download when the server supports ranges,
+ * and retries (with a Range request) if the connection drops.
+ * @param {string} url - Absolute URL of the .tflite model file.
+ * @param {(percentage: number, downloadedMB: string, totalMB: string) => void} progressCallback - Function to update UI.
+ * @returns {Promise<{bytes: Uint8Array, validator: string|null}>} - The model and its ETag/Last-Modified.
+ */
+async function downloadModelWithProgress(url, progressCallback) {
+    const partial = await getRecord("partialDownloads", url).catch(() => undefined);
+    let chunks = partial ? [new Uint8Array(await partial.data.arrayBuffer())] : [];
+    let downloadedSize = partial ? partial.data.size : 0;
+    let totalSize = partial ? partial.total : 0;
+    let validator = partial ? partial.validator : null;
+    let savedSize = downloadedSize;
+
+    async function savePartial() {
+        if (!validator || downloadedSize === savedSize) return;
+        savedSize = downloadedSize;
+        await putRecord("partialDownloads", {
+            url,
+            validator,
+            total: totalSize,
+            data: new Blob(chunks)
+        }).catch(error => console.error("Could not save partial download:", error));
+    }
+
+    function startOver() {
+        chunks = [];
+        downloadedSize = 0;
+        savedSize = 0;
+        totalSize = 0;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const headers = {};
+        // Only resume when we can prove it's the same file (If-Range)
+        if (downloadedSize > 0 && validator) {
+            headers["Range"] = `bytes=${downloadedSize}-`;
+            headers["If-Range"] = validator;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { headers, cache: "no-store" });
+        } catch (error) {
+            if (attempt >= MAX_RETRIES) throw error;
+            await delay(1000 * 2 ** attempt);
+            continue;
+        }
+
+        if (response.status === 416 && downloadedSize > 0) {
+            // The saved part doesn't fit the file, e.g. it already is all of
+            // it (saved just before the download finished): start over
+            await deleteRecord("partialDownloads", url).catch(() => {});
+            startOver();
+            validator = null;
+            continue;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Failed to fetch model: ${url}. Server responded with ${response.status}`);
+            // Server errors are often passing, like a dropped connection
+            if (response.status < 500 || attempt >= MAX_RETRIES) throw error;
+            console.warn(`${error.message}, retrying...`);
+            await delay(1000 * 2 ** attempt);
+            continue;
+        }
+
+        if (response.status === 200) {
+            // Full response: the server ignored the range, or the file changed
+            startOver();
+            validator = response.headers.get("ETag") || response.headers.get("Last-Modified");
+            const totalSizeHeader = response.headers.get("Content-Length");
+            totalSize = totalSizeHeader ? parseInt(totalSizeHeader, 10) : 0;
+        } else {
+            // 206: "Content-Range: bytes 1000-4999/5000"
+            const match = /\/(\d+)$/.exec(response.headers.get("Content-Range") || "");
+            if (match) totalSize = parseInt(match[1], 10);
+        }
+
+        try {
+            const reader = response.body.getReader();
+            while (true) {
+                const { done, value } = await reader.read(); // value is a Uint8Array
+                if (done) break;
+
+                chunks.push(value);
+                downloadedSize += value.length;
+
+                if (totalSize > 0) {
+                    const percentage = Math.round((downloadedSize / totalSize) * 100);
+                    progressCallback(percentage, toMB(downloadedSize), toMB(totalSize));
+                } else {
+                    // Show progress in MB if total size is unknown
+                    progressCallback(0, toMB(downloadedSize), "??");
+                }
+
+                if (downloadedSize - savedSize >= PARTIAL_SAVE_INTERVAL) {
+                    await savePartial();
+                }
+            }
+            break;
+        } catch (error) {
+            // Connection dropped mid-download: keep what we have and resume
+            await savePartial();
+            if (attempt >= MAX_RETRIES) throw error;
+            console.warn(`Model download interrupted at ${toMB(downloadedSize)} MB, resuming...`, error);
+            await delay(1000 * 2 ** attempt);
+        }
+    }
+
+    if (totalSize > 0 && downloadedSize !== totalSize) {
+        await deleteRecord("partialDownloads", url).catch(() => {});
+        throw new Error(`Model download was incomplete (${downloadedSize} of ${totalSize} bytes)`);
+    }
+
+    // Create the final buffer with the *correct*, measured size
+    const modelBuffer = new Uint8Array(downloadedSize);
+    let offset = 0;
+    for (const chunk of chunks) {
+        modelBuffer.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    await deleteRecord("partialDownloads", url).catch(() => {});
+
+    // Ensure progress bar hits 100%
+    const finalMB = toMB(downloadedSize);
+    progressCallback(100, finalMB, finalMB);
+
+    return { bytes: modelBuffer, validator };
+}
+
+/**
+ * Reads a cached model and checks it against its index entry.
+ * @returns {Promise<Uint8Array|null>} - null if it is missing or corrupted.
+ */
+async function readCachedModel(url, entry) {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    const response = await cache.match(url);
+    if (!response) {
+        await deleteRecord("modelIndex", url);
+        return null;
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length !== entry.size || await sha256(bytes) !== entry.sha256) {
+        console.warn(`Cached model ${url} failed its integrity check; downloading it again.`);
+        await cache.delete(url);
+        await deleteRecord("modelIndex", url);
+        return null;
+    }
+    return bytes;
+}
+
+/**
+ * Asks the server whether the cached copy is still the latest one.
+ * When offline, or when the server has no ETag/Last-Modified, the cached
+ * copy is used.
+ */
+async function isStillCurrent(url, entry) {
+    if (!entry.validator || !navigator.onLine) return true;
+    try {
+        const response = await fetch(url, { method: "HEAD", cache: "no-store" });
+        if (!response.ok) return true;
+        const validator = response.headers.get("ETag") || response.headers.get("Last-Modified");
+        return !validator || validator === entry.validator;
+    } catch {
+        return true;
+    }
+}
+
+async function storeModel(url, bytes, validator) {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    await cache.put(url, new Response(bytes, {
+        headers: {
+            "Content-Type": "application/octet-stream",
+            "Content-Length": String(bytes.length)
+        }
+    }));
+
+    const now = Date.now();
+    await putRecord("modelIndex", {
+        url,
+        validator,
+        size: bytes.length,
+        sha256: await sha256(bytes),
+        storedAt: now,
+        lastUsed: now
+    });
+}
+
+/**
+ * Removes least recently used models until the cache fits the budget.
+ * @param {number} budgetBytes
+ * @param {string} keepUrl - The model in use, never evicted.
+ */
+async function evictToBudget(budgetBytes, keepUrl) {
+    const entries = await getAllRecords("modelIndex");
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= budgetBytes) return;
+
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const entry of entries) {
+        if (total <= budgetBytes) break;
+        if (entry.url === keepUrl) continue;
+        await cache.delete(entry.url);
+        await deleteRecord("modelIndex", entry.url);
+        total -= entry.size;
+    }
+}
+
+/**
+ * How many models are cached, and their total size.
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getModelCacheUsage() {
+    if (!hasCacheStorage) return { count: 0, bytes: 0 };
+    const entries = await getAllRecords("modelIndex");
+    return {
+        count: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    };
+}
+
+/**
+ * Deletes every cached model and any partial downloads.
+ */
+export async function clearModelCache() {
+    if (hasCacheStorage) {
+        await caches.delete(MODEL_CACHE_NAME);
+    }
+    await clearStore("modelIndex");
+    await clearStore("partialDownloads");
+}
+
+async function sha256(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function toMB(bytes) {
+    return (bytes / 1024 / 1024).toFixed(1);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
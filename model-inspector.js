@@ -0,0 +1,221 @@
+// @ts-nocheck
+
+/**
+ * TFLite model inspection.
+ * Reads just enough of a .tflite file to validate it and describe it:
+ *   - The FlatBuffer model (schema.fbs): input tensor shape, type and
+ *     quantization, number of outputs, and whether it carries metadata.
+ *   - The zip archive the TFLite Metadata Writer appends to the model,
+ *     which holds the label map (e.g. labelmap.txt).
+ */
+
+// TensorType enum from the TFLite schema
+const TENSOR_TYPES = [
+    "float32", "float16", "int32", "uint8", "int64", "string", "bool",
+    "int16", "complex64", "int8", "float64", "complex128", "uint64",
+    "resource", "variant", "uint32", "uint16", "int4"
+];
+
+/**
+ * Describes a model and throws if it is not a usable object detector.
+ * @param {Uint8Array} bytes - The whole .tflite file.
+ * @returns {Promise<{inputWidth: number, inputHeight: number, inputChannels: number, inputType: string,
+ *   quantization: {scale: number, zeroPoint: number}|null, outputCount: number,
+ *   hasMetadata: boolean, labels: string[], sizeMB: string}>}
+ */
+export async function inspectModel(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // "TFL3" file identifier, right after the root offset
+    const identifier = String.fromCharCode(...bytes.subarray(4, 8));
+    if (bytes.length < 8 || identifier !== "TFL3") {
+        throw new Error("Not a TensorFlow Lite model (missing TFL3 identifier)");
+    }
+
+    const fb = createReader(view);
+    const model = fb.root();
+    const subgraph = fb.tableAt(fb.vector(model, 2), 0); // Model.subgraphs[0]
+    if (!subgraph) {
+        throw new Error("The model has no subgraphs");
+    }
+
+    const tensors = fb.vector(subgraph, 0);              // SubGraph.tensors
+    const inputs = fb.intVector(subgraph, 1);            // SubGraph.inputs
+    const outputs = fb.intVector(subgraph, 2);           // SubGraph.outputs
+    if (inputs.length !== 1) {
+        throw new Error(`Expected one image input, found ${inputs.length}`);
+    }
+
+    const input = fb.tableAt(tensors, inputs[0]);
+    const shape = fb.intVector(input, 0);                // Tensor.shape
+    if (shape.length !== 4 || shape[3] !== 3) {
+        throw new Error(`Expected an input of shape [1, height, width, 3], found [${shape.join(", ")}]`);
+    }
+    // Detectors output boxes, classes, scores and a count
+    if (outputs.length < 4) {
+        throw new Error(`Expected an object detector (4 outputs), found ${outputs.length} output(s)`);
+    }
+
+    const quantization = fb.table(input, 4);             // Tensor.quantization
+    const scales = quantization ? fb.floatVector(quantization, 2) : [];
+    const zeroPoints = quantization ? fb.longVector(quantization, 3) : [];
+
+    const metadata = fb.vector(model, 6);                // Model.metadata
+    let hasMetadata = false;
+    for (let i = 0; metadata && i < metadata.length; i++) {
+        if (fb.string(fb.tableAt(metadata, i), 0) === "TFLITE_METADATA") hasMetadata = true;
+    }
+
+    return {
+        inputHeight: shape[1],
+        inputWidth: shape[2],
+        inputChannels: shape[3],
+        inputType: TENSOR_TYPES[fb.scalar(input, 1, "Int8", 0)] || "unknown",
+        quantization: scales.length > 0 ? { scale: scales[0], zeroPoint: zeroPoints[0] ?? 0 } : null,
+        outputCount: outputs.length,
+        hasMetadata,
+        labels: await readEmbeddedLabels(bytes),
+        sizeMB: (bytes.length / 1024 / 1024).toFixed(1)
+    };
+}
+
+/**
+ * A one-line description, e.g. "320×320 uint8 (quantized), 90 labels, 4.4 MB".
+ */
+export function describeModel(info) {
+    const quantized = info.quantization ? " (quantized)" : "";
+    const labels = info.labels.length > 0 ? `${info.labels.length} labels` : "no embedded labels";
+    return `${info.inputWidth}×${info.inputHeight} ${info.inputType}${quantized}, ${labels}, ${info.sizeMB} MB`;
+}
+
+// --- FlatBuffer reading ---
+
+/**
+ * Just the FlatBuffer primitives we need: tables, vectors, strings, scalars.
+ * Field numbers are the order of the fields in schema.fbs.
+ */
+function createReader(view) {
+    const u32 = (pos) => view.getUint32(pos, true);
+
+    function fieldOffset(table, field) {
+        const vtable = table - view.getInt32(table, true);
+        const vtableSize = view.getUint16(vtable, true);
+        const entry = 4 + field * 2;
+        return entry < vtableSize ? view.getUint16(vtable + entry, true) : 0;
+    }
+
+    function indirect(table, field) {
+        const offset = fieldOffset(table, field);
+        if (!offset) return null;
+        const pos = table + offset;
+        return pos + u32(pos);
+    }
+
+    const reader = {
+        root: () => u32(0),
+        table: indirect,
+        scalar(table, field, type, defaultValue) {
+            const offset = fieldOffset(table, field);
+            return offset ? view[`get${type}`](table + offset, true) : defaultValue;
+        },
+        vector(table, field) {
+            const pos = indirect(table, field);
+            return pos === null ? null : { length: u32(pos), start: pos + 4 };
+        },
+        tableAt(vector, index) {
+            if (!vector || index >= vector.length) return null;
+            const pos = vector.start + index * 4;
+            return pos + u32(pos);
+        },
+        intVector(table, field) {
+            const vector = reader.vector(table, field);
+            return vector ? Array.from({ length: vector.length }, (_, i) => view.getInt32(vector.start + i * 4, true)) : [];
+        },
+        floatVector(table, field) {
+            const vector = reader.vector(table, field);
+            return vector ? Array.from({ length: vector.length }, (_, i) => view.getFloat32(vector.start + i * 4, true)) : [];
+        },
+        longVector(table, field) {
+            const vector = reader.vector(table, field);
+            return vector ? Array.from({ length: vector.length }, (_, i) => Number(view.getBigInt64(vector.start + i * 8, true))) : [];
+        },
+        string(table, field) {
+            const pos = table === null ? null : indirect(table, field);
+            if (pos === null) return null;
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + pos + 4, u32(pos));
+            return new TextDecoder().decode(bytes);
+        }
+    };
+    return reader;
+}
+
+// --- Embedded label map ---
+
+/**
+ * Finds the label file in the zip appended to the model, if there is one.
+ * @returns {Promise<string[]>} - One label per line, in index order.
+ */
+async function readEmbeddedLabels(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = readZipEntries(view);
+    const textFiles = entries.filter(entry => entry.name.toLowerCase().endsWith(".txt"));
+    const labelFile = textFiles.find(entry => /label/i.test(entry.name)) || textFiles[0];
+    if (!labelFile) return [];
+
+    const data = await readZipEntry(bytes, view, labelFile);
+    // Keep blank lines in the middle: the line number is the class index
+    return new TextDecoder().decode(data)
+        .trimEnd()
+        .split(/\r?\n/)
+        .map(line => line.trim());
+}
+
+/**
+ * Reads the central directory of a zip that ends the file.
+ */
+function readZipEntries(view) {
+    // The end-of-central-directory record is in the last 64 KB + 22 bytes
+    const minPos = Math.max(0, view.byteLength - 65557);
+    let eocd = -1;
+    for (let pos = view.byteLength - 22; pos >= minPos; pos--) {
+        if (view.getUint32(pos, true) === 0x06054b50) {
+            eocd = pos;
+            break;
+        }
+    }
+    if (eocd === -1) return [];
+
+    const count = view.getUint16(eocd + 10, true);
+    const directorySize = view.getUint32(eocd + 12, true);
+    // Offsets in the zip are relative to where the zip starts, after the model
+    const zipStart = eocd - directorySize - view.getUint32(eocd + 16, true);
+    let pos = eocd - directorySize;
+
+    const entries = [];
+    for (let i = 0; i < count && view.getUint32(pos, true) === 0x02014b50; i++) {
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        entries.push({
+            name: new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength)),
+            method: view.getUint16(pos + 10, true),
+            compressedSize: view.getUint32(pos + 20, true),
+            localHeader: zipStart + view.getUint32(pos + 42, true)
+        });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function readZipEntry(bytes, view, entry) {
+    const header = entry.localHeader;
+    const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
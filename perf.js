@@ -0,0 +1,207 @@
+// @ts-nocheck
+
+/**
+ * Performance monitoring and the adaptive quality governor.
+ *
+ * The monitor counts three things over a sliding window:
+ *   - captured: new frames the loop saw from the source (capture FPS)
+ *   - detected: frames that went through the detector (detection FPS),
+ *               with their inference time (for p50/p95)
+ *   - dropped:  new frames that were not detected (worker busy, or skipped
+ *               by the governor)
+ *
+ * The governor trades quality for speed one step at a time to hold a target
+ * frame rate, and gives the quality back when there is headroom.
+ */
+
+const LATENCY_SAMPLES = 120;
+
+/**
+ * Creates a performance monitor.
+ * @param {number} [windowMs=2000] - How far back the FPS figures look.
+ */
+export function createPerfMonitor(windowMs = 2000) {
+    let captured = [];
+    let detected = [];
+    let latencies = [];
+    let droppedTotal = 0;
+    let droppedRecent = [];
+
+    const prune = (times, now) => {
+        while (times.length > 0 && now - times[0] > windowMs) times.shift();
+    };
+
+    return {
+        frameCaptured(now) {
+            captured.push(now);
+            prune(captured, now);
+        },
+
+        /**
+         * @param {number} now
+         * @param {number} inferenceMs - Time spent in the detector.
+         */
+        frameDetected(now, inferenceMs) {
+            detected.push(now);
+            prune(detected, now);
+            latencies.push(inferenceMs);
+            if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+        },
+
+        frameDropped(now) {
+            droppedTotal++;
+            droppedRecent.push(now);
+            prune(droppedRecent, now);
+        },
+
+        reset() {
+            captured = [];
+            detected = [];
+            latencies = [];
+            droppedRecent = [];
+            droppedTotal = 0;
+        },
+
+        /**
+         * @returns {{captureFps: number, detectionFps: number, p50: number, p95: number,
+         *   dropped: number, droppedPercent: number, windowFull: boolean}}
+         */
+        getStats(now = performance.now()) {
+            prune(captured, now);
+            prune(detected, now);
+            prune(droppedRecent, now);
+
+            const sorted = latencies.slice().sort((a, b) => a - b);
+            const percentile = (p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+
+            return {
+                captureFps: captured.length / (windowMs / 1000),
+                detectionFps: detected.length / (windowMs / 1000),
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                dropped: droppedTotal,
+                droppedPercent: captured.length ? (droppedRecent.length / captured.length) * 100 : 0,
+                // Rates are only meaningful once we've watched a whole window
+                windowFull: captured.length > 0 && now - captured[0] >= windowMs * 0.9
+            };
+        }
+    };
+}
+
+// Quality steps, cheapest loss first. Each applies on top of the ones before.
+const GOVERNOR_STEPS = [
+    { label: "input 75%", apply: settings => { settings.scale = 0.75; } },
+    { label: "input 50%", apply: settings => { settings.scale = 0.5; } },
+    // Skipping frames only helps when detection blocks the main thread;
+    // the worker already drops frames it can't keep up with
+    { label: "every 2nd frame", apply: settings => { settings.skip = 2; }, mainThreadOnly: true },
+    { label: "every 3rd frame", apply: settings => { settings.skip = 3; }, mainThreadOnly: true },
+    { label: "fast model", apply: settings => { settings.fastModel = true; } }
+];
+
+const HOLD_MS = 4000;    // Wait after a change before judging its effect
+const HEADROOM = 1.5;    // Only give quality back with this much spare FPS
+
+/**
+ * Creates the adaptive quality governor.
+ * @param {object} options
+ * @param {number} options.targetFps - Frame rate to hold.
+ * @param {boolean} options.mainThread - True if detection runs on the main thread.
+ *   Can be changed later, e.g. when inference moves to the worker.
+ */
+export function createQualityGovernor({ targetFps, mainThread }) {
+    let level = 0;
+    let lastChange = -Infinity;
+    const getSteps = () => GOVERNOR_STEPS.filter(step => governor.mainThread || !step.mainThreadOnly);
+
+    const governor = {
+        targetFps,
+        mainThread,
+
+        /**
+         * The current settings: { scale, skip, fastModel, label }.
+         */
+        getSettings() {
+            const applied = getSteps().slice(0, level);
+            const settings = { scale: 1, skip: 1, fastModel: false };
+            applied.forEach(step => step.apply(settings));
+            settings.label = applied.length === 0 ? "full quality" : applied.map(step => step.label).join(", ");
+            return settings;
+        },
+
+        /**
+         * Looks at the measured frame rate and moves one step if needed.
+         * @param {number} fps - The measured rate to hold at targetFps.
+         * @param {number} now - performance.now()
+         * @returns {boolean} - True if the settings changed.
+         */
+        evaluate(fps, now) {
+            if (now - lastChange < HOLD_MS) return false;
+
+            const steps = getSteps();
+            level = Math.min(level, steps.length);
+            if (fps < governor.targetFps * 0.9 && level < steps.length) {
+                level++;
+            } else if (fps > governor.targetFps * HEADROOM && level > 0) {
+                level--;
+            } else {
+                return false;
+            }
+            lastChange = now;
+            return true;
+        },
+
+        reset() {
+            level = 0;
+            lastChange = -Infinity;
+        }
+    };
+    return governor;
+}
+
+/**
+ * Draws the stats overlay in the top-left corner of the canvas.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string[]} lines
+ */
+export function drawPerfHud(ctx, lines) {
+    const fontSize = Math.max(12, ctx.canvas.width * 0.011);
+    const lineHeight = fontSize * 1.35;
+    const padding = fontSize * 0.6;
+
+    ctx.save();
+    ctx.font = `${fontSize}px monospace`;
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const height = lines.length * lineHeight + padding * 2;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.65)";
+    ctx.fillRect(padding, padding, width, height);
+
+    ctx.fillStyle = "#e0e0e0";
+    lines.forEach((line, i) => {
+        ctx.fillText(line, padding * 2, padding * 2 + fontSize * 0.85 + i * lineHeight);
+    });
+    ctx.restore();
+}
+
+/**
+ * Scales detection boxes, e.g. from a downscaled frame back to full size.
+ * @param {Array<object>} detections - MediaPipe detections.
+ * @param {number} factor
+ * @returns {Array<object>} - New detection objects; the input is left alone.
+ */
+export function scaleDetections(detections, factor) {
+    return detections.map(detection => {
+        const box = detection.boundingBox;
+        return {
+            ...detection,
+            boundingBox: {
+                ...box,
+                originX: box.originX * factor,
+                originY: box.originY * factor,
+                width: box.width * factor,
+                height: box.height * factor
+            }
+        };
+    });
+}
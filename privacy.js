@@ -0,0 +1,211 @@
+// @ts-nocheck
+
+/**
+ * Privacy mode: people (or any chosen categories) are blurred, pixelated or
+ * blacked out before anything is shown or saved.
+ *
+ * The input is drawn through a canvas with the regions already anonymised,
+ * and that canvas stands in for the <video>/<img> everywhere pixels leave the
+ * app (snapshots, clips, recorded frames), so they never contain the raw
+ * picture.
+ *
+ * Regions come from the detector's boxes, padded and widened to where each
+ * track is heading, because boxes are always a frame or two behind the
+ * video. The hidden categories get a tracker of their own, fed before the
+ * class filter, so a person stays hidden through a missed frame even when
+ * "person" isn't shown. Until the first detection on an input the whole
+ * frame is hidden.
+ * Blur is the weakest effect; use "black" when faces must not be recoverable.
+ *
+ * Settings look like:
+ *   { enabled: true, effect: "blur" | "pixelate" | "black", categories: ["person"] }
+ */
+
+export const PRIVACY_EFFECTS = {
+    blur: "Blur",
+    pixelate: "Pixelate",
+    black: "Black Out"
+};
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+    enabled: false,
+    effect: "blur",
+    categories: ["person"]
+};
+
+// Lower than the usual threshold: a missed person is worse than a blurred coat rack
+export const PRIVACY_THRESHOLD = 0.3;
+
+// Added around every box, as a fraction of its size
+const PADDING = 0.15;
+
+const SETTINGS_STORAGE_KEY = "privacySettings";
+
+export function loadPrivacySettings() {
+    try {
+        return { ...DEFAULT_PRIVACY_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}") };
+    } catch (error) {
+        console.error("Could not load privacy settings:", error);
+        return { ...DEFAULT_PRIVACY_SETTINGS };
+    }
+}
+
+export function savePrivacySettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Widens ObjectDetector options (from toDetectorOptions() in classes.js) so
+ * the detector still reports the hidden categories when the class filter
+ * would leave them out. The display filter still applies on top.
+ * @param {object} options - { categoryAllowlist, categoryDenylist, scoreThreshold }
+ * @param {object} settings - Privacy settings.
+ */
+export function withPrivacyCategories(options, settings) {
+    if (!settings.enabled) return options;
+
+    const hidden = new Set(settings.categories);
+    const allowlist = options.categoryAllowlist.length
+        ? [...new Set([...options.categoryAllowlist, ...settings.categories])]
+        : [];
+    return {
+        ...options,
+        categoryAllowlist: allowlist,
+        categoryDenylist: options.categoryDenylist.filter(category => !hidden.has(category)),
+        scoreThreshold: Math.min(options.scoreThreshold, PRIVACY_THRESHOLD)
+    };
+}
+
+/**
+ * The detections to hide, for the privacy tracker.
+ * @param {Array<object>} detections - This frame's detections, before any class filtering.
+ * @param {object} settings - Privacy settings.
+ * @returns {Array<object>}
+ */
+export function privacyDetections(detections, settings) {
+    const hidden = new Set(settings.categories);
+    return detections.filter(detection => {
+        const { categoryName, score } = detection.categories[0];
+        return hidden.has(categoryName) && score >= PRIVACY_THRESHOLD;
+    });
+}
+
+/**
+ * The regions to anonymise, in frame pixels.
+ * @param {Array<object>} detections - This frame's detections, before any class filtering.
+ * @param {Array<object>} tracks - Every live track of the privacy tracker
+ *   (fed privacyDetections()), so people keep hidden through frames where
+ *   the detector misses them.
+ * @param {object} settings - Privacy settings.
+ * @returns {Array<object>} - { originX, originY, width, height } boxes.
+ */
+export function privacyBoxes(detections, tracks, settings) {
+    const hidden = new Set(settings.categories);
+    const boxes = privacyDetections(detections, settings).map(detection => detection.boundingBox);
+
+    for (const track of tracks) {
+        if (hidden.has(track.category)) {
+            boxes.push(unionBox(track.box, track.predictedBox));
+        }
+    }
+    return boxes;
+}
+
+/**
+ * Draws `element` into `canvas` with the boxes anonymised.
+ * @param {HTMLCanvasElement} canvas - Resized to width x height if needed.
+ * @param {CanvasImageSource} element - The <video> or <img>.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {Array<object>} boxes - From privacyBoxes().
+ * @param {object} options
+ * @param {string} options.effect - A key of PRIVACY_EFFECTS.
+ * @param {boolean} [options.hideAll] - Black out the whole frame (nothing detected yet).
+ */
+export function renderAnonymized(canvas, element, width, height, boxes, { effect, hideAll = false }) {
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const ctx = canvas.getContext("2d");
+
+    if (hideAll) {
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, width, height);
+        return;
+    }
+
+    ctx.drawImage(element, 0, 0, width, height);
+
+    for (const box of boxes) {
+        const region = padBox(box, width, height);
+        if (!region) continue;
+
+        if (effect === "black") {
+            ctx.fillStyle = "#000";
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+        } else if (effect === "blur" && typeof ctx.filter === "string") {
+            blurRegion(ctx, element, region, width, height);
+        } else {
+            // Also the fallback for browsers without canvas filters (Safari)
+            pixelateRegion(ctx, canvas, region);
+        }
+    }
+}
+
+function blurRegion(ctx, element, region, width, height) {
+    // Strong enough to hide a face at any size
+    const radius = Math.max(8, Math.round(Math.min(region.width, region.height) / 6));
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(region.x, region.y, region.width, region.height);
+    ctx.clip();
+    ctx.filter = `blur(${radius}px)`;
+    ctx.drawImage(element, 0, 0, width, height);
+    ctx.restore();
+}
+
+let pixelCanvas; // Scratch canvas for pixelation, reused
+
+function pixelateRegion(ctx, canvas, region) {
+    const blockSize = Math.max(8, Math.round(Math.max(region.width, region.height) / 12));
+    const smallWidth = Math.max(1, Math.ceil(region.width / blockSize));
+    const smallHeight = Math.max(1, Math.ceil(region.height / blockSize));
+
+    pixelCanvas = pixelCanvas || document.createElement("canvas");
+    pixelCanvas.width = smallWidth;
+    pixelCanvas.height = smallHeight;
+    const pixelCtx = pixelCanvas.getContext("2d");
+    pixelCtx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, smallWidth, smallHeight);
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(pixelCanvas, 0, 0, smallWidth, smallHeight, region.x, region.y, region.width, region.height);
+    ctx.restore();
+}
+
+/**
+ * Pads a box and clamps it to the frame, in whole pixels.
+ * @returns {{x: number, y: number, width: number, height: number}|null} - null if it is off-frame.
+ */
+function padBox(box, width, height) {
+    const padX = box.width * PADDING;
+    const padY = box.height * PADDING;
+    const x = Math.max(0, Math.floor(box.originX - padX));
+    const y = Math.max(0, Math.floor(box.originY - padY));
+    const right = Math.min(width, Math.ceil(box.originX + box.width + padX));
+    const bottom = Math.min(height, Math.ceil(box.originY + box.height + padY));
+    if (right <= x || bottom <= y) return null;
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+function unionBox(a, b) {
+    const originX = Math.min(a.originX, b.originX);
+    const originY = Math.min(a.originY, b.originY);
+    return {
+        originX,
+        originY,
+        width: Math.max(a.originX + a.width, b.originX + b.width) - originX,
+        height: Math.max(a.originY + a.height, b.originY + b.height) - originY
+    };
+}
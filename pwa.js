@@ -0,0 +1,53 @@
+// @ts-nocheck
+
+/**
+ * Service worker registration and the "new version available" flow.
+ * A new worker waits until the user accepts the update; then it takes
+ * over and the page reloads once onto the new version.
+ */
+
+/**
+ * Registers sw.js and reports when an update is ready.
+ * @param {(applyUpdate: () => void) => void} onUpdateAvailable - Called with a
+ *   function that activates the new version (and reloads the page).
+ */
+export async function registerServiceWorker(onUpdateAvailable) {
+    if (!("serviceWorker" in navigator)) return;
+
+    const registration = await navigator.serviceWorker.register("sw.js");
+    let updateAccepted = false;
+
+    const offerUpdate = (worker) => {
+        onUpdateAvailable(() => {
+            updateAccepted = true;
+            worker.postMessage({ type: "SKIP_WAITING" });
+        });
+    };
+
+    // An update that finished installing on a previous visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+    }
+
+    registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+            // With no controller this is the first install, not an update
+            if (worker.state === "installed" && navigator.serviceWorker.controller) {
+                offerUpdate(worker);
+            }
+        });
+    });
+
+    // Also fires on the very first install (clients.claim), so only
+    // reload when the user asked for the update
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (updateAccepted) {
+            updateAccepted = false;
+            window.location.reload();
+        }
+    });
+
+    // Tablets may keep the app open for days; check for updates hourly
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+}
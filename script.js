@@ -3,11 +3,99 @@ import {
     ObjectDetector,
     FilesetResolver
 } from "./mediapipe_wasm/vision_bundle.mjs";
+import { createTracker } from "./tracker.js";
+import { drawDetection } from "./draw.js";
+import {
+    createCameraSource,
+    createVideoFileSource,
+    createImageFolderSource
+} from "./sources.js";
+import {
+    createRecordingSession,
+    toRecordedDetection,
+    captureFrame,
+    downloadBlob,
+    exportFileName
+} from "./export.js";
+import { createClipRecorder, isClipRecordingSupported } from "./clips.js";
+import {
+    takeSnapshot,
+    saveSnapshot,
+    loadSnapshots,
+    deleteSnapshot,
+    clearSnapshots,
+    cropFileName,
+    snapshotsToZip
+} from "./snapshots.js";
+import { createZoneManager, attachZoneEditor, describeZoneStats } from "./zones.js";
+import {
+    createAlertEngine,
+    describeRule,
+    showBanner,
+    playAlertTone,
+    sendToEndpoint,
+    toAlertPayload
+} from "./alerts.js";
+import { putRecord, getRecord, getAllRecords, deleteRecord } from "./idb.js";
+import {
+    COCO_CLASSES,
+    loadClassSettings,
+    saveClassSettings,
+    toDetectorOptions,
+    filterDetections,
+    classThreshold,
+    classColor
+} from "./classes.js";
+import { inspectModel, describeModel } from "./model-inspector.js";
+import { loadModel, precacheModels, getModelCacheUsage, clearModelCache } from "./model-cache.js";
+import { registerServiceWorker } from "./pwa.js";
+import { createWorkerDetector, isWorkerInferenceSupported } from "./worker-detector.js";
+import { readConfigFromUrl, toConfigUrl, loadPresets, savePreset, deletePreset } from "./config.js";
+import { probeGpuSupport, buildWithFallback, describeDelegate, createGpuCanvas, isGpuError } from "./delegate.js";
+import { createPerfMonitor, createQualityGovernor, drawPerfHud, scaleDetections } from "./perf.js";
+import {
+    DEFAULT_STREAM_SETTINGS,
+    loadStreamSettings,
+    saveStreamSettings,
+    getClientId,
+    createDetectionStream,
+    toStreamFrame,
+    describeStreamStatus
+} from "./streaming.js";
+import { openCameraGrid } from "./grid.js";
+import {
+    PRIVACY_EFFECTS,
+    loadPrivacySettings,
+    savePrivacySettings,
+    withPrivacyCategories,
+    privacyBoxes,
+    privacyDetections,
+    renderAnonymized
+} from "./privacy.js";
+import { loadSmoothingSettings, saveSmoothingSettings, createSmoother } from "./smoothing.js";
+import {
+    EVALUATION_SCORE_THRESHOLD,
+    EVALUATION_MAX_RESULTS,
+    BACKGROUND,
+    loadDataset,
+    runEvaluation,
+    evaluate
+} from "./evaluation.js";
+import {
+    loadAccessibilitySettings,
+    saveAccessibilitySettings,
+    isSpeechSupported,
+    describeScene,
+    createAnnouncer
+} from "./accessibility.js";
 
 // --- DOM Elements ---
 const video = document.getElementById("webcam");
+const imageView = document.getElementById("imageView");
 const canvas = document.getElementById("outputCanvas");
 const canvasCtx = canvas.getContext("2d");
+const privacyCanvas = document.getElementById("privacyCanvas");
+const cameraGrid = document.getElementById("cameraGrid");
 
 // Loaders & Overlays
 const loadingContainer = document.getElementById("loadingContainer");
@@ -26,9 +114,23 @@ const overlayProgressText = document.getElementById("overlayProgressText");
 
 const permissionOverlay = document.getElementById("permissionOverlay");
 const permissionButton = document.getElementById("permissionButton");
+const updateBanner = document.getElementById("updateBanner");
+const updateButton = document.getElementById("updateButton");
+const openFileButton = document.getElementById("openFileButton");
 
 // Controls
 const modelSelect = document.getElementById("modelSelect");
+const inferenceSelect = document.getElementById("inferenceSelect");
+const delegateSelect = document.getElementById("delegateSelect");
+const delegateValue = document.getElementById("delegateValue");
+const modelInfo = document.getElementById("modelInfo");
+const loadModelFileButton = document.getElementById("loadModelFileButton");
+const modelFileInput = document.getElementById("modelFileInput");
+const modelUrlInput = document.getElementById("modelUrlInput");
+const loadModelUrlButton = document.getElementById("loadModelUrlButton");
+const removeModelButton = document.getElementById("removeModelButton");
+const clearModelCacheButton = document.getElementById("clearModelCacheButton");
+const modelCacheValue = document.getElementById("modelCacheValue");
 const cameraSelect = document.getElementById("cameraSelect");
 const cameraSelectContainer = document.getElementById("cameraSelectContainer");
 const maxResultsSlider = document.getElementById("maxResultsSlider");
@@ -36,34 +138,281 @@ const maxResultsValue = document.getElementById("maxResultsValue");
 const thresholdSlider = document.getElementById("thresholdSlider");
 const thresholdValue = document.getElementById("thresholdValue");
 const flipButton = document.getElementById("flipButton");
+const classModeSelect = document.getElementById("classModeSelect");
+const classSearch = document.getElementById("classSearch");
+const classList = document.getElementById("classList");
+const categoryOptions = document.getElementById("categoryOptions");
+const hudToggle = document.getElementById("hudToggle");
+const adaptiveToggle = document.getElementById("adaptiveToggle");
+const targetFpsInput = document.getElementById("targetFpsInput");
+const privacyToggle = document.getElementById("privacyToggle");
+const privacyCategoriesInput = document.getElementById("privacyCategories");
+const privacyEffectSelect = document.getElementById("privacyEffectSelect");
+const smoothingToggle = document.getElementById("smoothingToggle");
+const smoothingMethodSelect = document.getElementById("smoothingMethodSelect");
+const smoothingSlider = document.getElementById("smoothingSlider");
+const animateToggle = document.getElementById("animateToggle");
+const hysteresisSelect = document.getElementById("hysteresisSelect");
+const labelWindowSelect = document.getElementById("labelWindowSelect");
+const describeToggle = document.getElementById("describeToggle");
+const speakToggle = document.getElementById("speakToggle");
+const speechIntervalSelect = document.getElementById("speechIntervalSelect");
+const speechRateSelect = document.getElementById("speechRateSelect");
+const sceneSummary = document.getElementById("sceneSummary");
+const shortcutHelp = document.getElementById("shortcutHelp");
+const shortcutsToggle = document.getElementById("shortcutsToggle");
+// Elements advertising a shortcut, and which keys
+const shortcutElements = [...document.querySelectorAll("[aria-keyshortcuts]")]
+    .map(element => [element, element.getAttribute("aria-keyshortcuts")]);
+
+// Presets & Shareable Links
+const presetSelect = document.getElementById("presetSelect");
+const savePresetButton = document.getElementById("savePresetButton");
+const deletePresetButton = document.getElementById("deletePresetButton");
+const copyLinkButton = document.getElementById("copyLinkButton");
+
+// Input Source Controls
+const sourceSelect = document.getElementById("sourceSelect");
+const videoFileInput = document.getElementById("videoFileInput");
+const imageFolderInput = document.getElementById("imageFolderInput");
+const playbackControls = document.getElementById("playbackControls");
+const playPauseButton = document.getElementById("playPauseButton");
+const seekSlider = document.getElementById("seekSlider");
+const seekValue = document.getElementById("seekValue");
+const imageControls = document.getElementById("imageControls");
+const prevImageButton = document.getElementById("prevImageButton");
+const nextImageButton = document.getElementById("nextImageButton");
+const imageIndexValue = document.getElementById("imageIndexValue");
+
+// Recording & Export Controls
+const recordButton = document.getElementById("recordButton");
+const captureSelect = document.getElementById("captureSelect");
+const recordingValue = document.getElementById("recordingValue");
+const exportJsonButton = document.getElementById("exportJsonButton");
+const exportCsvButton = document.getElementById("exportCsvButton");
+const exportCocoButton = document.getElementById("exportCocoButton");
+const clipControls = document.getElementById("clipControls");
+const clipButton = document.getElementById("clipButton");
+const preRollSelect = document.getElementById("preRollSelect");
+const clipValue = document.getElementById("clipValue");
+
+// Zone Controls
+const drawZoneButton = document.getElementById("drawZoneButton");
+const drawLineButton = document.getElementById("drawLineButton");
+const saveZonesButton = document.getElementById("saveZonesButton");
+const loadZonesButton = document.getElementById("loadZonesButton");
+const zonesFileInput = document.getElementById("zonesFileInput");
+const clearZonesButton = document.getElementById("clearZonesButton");
+const zoneStatsContainer = document.getElementById("zoneStatsContainer");
+const zoneStatsList = document.getElementById("zoneStatsList");
+
+// Alert Controls
+const alertBanner = document.getElementById("alertBanner");
+const alertRuleList = document.getElementById("alertRuleList");
+const alertRuleForm = document.getElementById("alertRuleForm");
+const ruleZoneSelect = document.getElementById("ruleZone");
+const alertEndpointInput = document.getElementById("alertEndpoint");
+
+// Detection Streaming
+const streamToggle = document.getElementById("streamToggle");
+const streamStatus = document.getElementById("streamStatus");
+const streamProtocolSelect = document.getElementById("streamProtocolSelect");
+const streamUrlInput = document.getElementById("streamUrl");
+const streamTopicGroup = document.getElementById("streamTopicGroup");
+const streamTopicInput = document.getElementById("streamTopic");
+const streamBatchSelect = document.getElementById("streamBatchSelect");
+
+// Snapshot Gallery
+const snapshotButton = document.getElementById("snapshotButton");
+const downloadSnapshotsButton = document.getElementById("downloadSnapshotsButton");
+const clearSnapshotsButton = document.getElementById("clearSnapshotsButton");
+const snapshotGallery = document.getElementById("snapshotGallery");
+
+// Accuracy Evaluation
+const openDatasetButton = document.getElementById("openDatasetButton");
+const datasetInput = document.getElementById("datasetInput");
+const runEvaluationButton = document.getElementById("runEvaluationButton");
+const downloadReportButton = document.getElementById("downloadReportButton");
+const evaluationStatus = document.getElementById("evaluationStatus");
+const evaluationReport = document.getElementById("evaluationReport");
+const evaluationSummary = document.getElementById("evaluationSummary");
+const classMetricsTable = document.getElementById("classMetricsTable");
+const confusionTable = document.getElementById("confusionTable");
+const errorKindSelect = document.getElementById("errorKindSelect");
+const prevErrorButton = document.getElementById("prevErrorButton");
+const nextErrorButton = document.getElementById("nextErrorButton");
+const errorIndexValue = document.getElementById("errorIndexValue");
+const errorCaption = document.getElementById("errorCaption");
+const errorCanvas = document.getElementById("errorCanvas");
 
 // --- Global State ---
 let objectDetector;
-let lastVideoTime = -1;
-let currentStream;
+let detectorRunningMode; // The runningMode the current detector was set up with
+let currentSource;       // See sources.js
+let lastFrameKey;
+let isLoopRunning = false;
+let controlsBound = false;
 let isFlipped = false;
 let videoDevices = [];
 
+// --- Recording ---
+// The current (or most recently finished) recording session, see export.js
+let recordingSession;
+let isRecording = false;
+
+// --- Video Clips ---
+// WebM clips of the input with the overlay burned in, see clips.js
+const clipRecorder = isClipRecordingSupported()
+    ? createClipRecorder({
+        getFrame: () => currentSource && currentSource.element && currentSource.isReady()
+            ? { element: outputElement(currentSource), overlay: canvas, isFlipped }
+            : null
+    })
+    : undefined;
+let clipStartedAt;
+let clipTimer;     // Updates the clip length label
+let clipStopTimer; // Ends clips started by an alert
+// How long a clip started by an alert keeps going after the alert
+const ALERT_CLIP_MS = 10000;
+
+// --- Object Tracking ---
+// Gives each detected object a stable ID across frames
+const tracker = createTracker();
+let lastTracks = []; // Tracks matched on the most recent detection, for redraws
+
+// --- Smoothing ---
+// Steadier boxes, score hysteresis and label votes for the overlay, see smoothing.js
+let smoothingSettings = loadSmoothingSettings();
+let smoother; // Only set while smoothing is on
+
+// --- Zones ---
+// Polygons and tripwires drawn over the canvas, see zones.js
+const zoneManager = createZoneManager();
+const zoneEditor = attachZoneEditor(canvas, zoneManager, () => isFlipped);
+
+// --- Alerts ---
+// Rules evaluated on every frame, see alerts.js
+const alertEngine = createAlertEngine();
+alertEngine.load();
+
+// --- Detection Streaming ---
+// Every frame's detections sent to a WebSocket / MQTT server, see streaming.js
+let streamSettings = loadStreamSettings();
+let detectionStream; // Only set while streaming is on
+
+// --- Class Filtering ---
+// Allow/deny list, per-class thresholds and colours, see classes.js
+let classSettings = loadClassSettings();
+let availableClasses = COCO_CLASSES;
+
 // --- Model Caching ---
-// Cache downloaded models in memory
+// Models in use this session are kept in memory; model-cache.js keeps
+// downloaded ones across reloads
 const modelCache = new Map();
 
+// --- Custom Models ---
+// The model the running detector was built from, and what inspectModel() found in it
+let loadedModelPath;
+let loadedModelInfo;
+// The other settings it was built with
+let loadedMaxResults;
+let loadedThreshold;
+// Custom models are stored in IndexedDB and show up in the dropdown as
+// "custom:<id>" (local files) or their URL (remote models)
+const CUSTOM_MODEL_PREFIX = "custom:";
+
+// --- Delegate ---
+// Set once the GPU delegate fails (or loses its context); later models load on the CPU
+let gpuFailed = false;
+let isRecoveringFromGpuFailure = false;
+
+// --- Performance ---
+// Frame rate, inference latency and dropped frames, see perf.js
+const perfMonitor = createPerfMonitor();
+let qualityGovernor;       // Only set while adaptive quality is on
+let activeDelegate;        // The delegate the running detector was created with, see delegate.js
+let lastCapturedKey;       // Last frame the loop saw, detected or not
+let framesSinceDetect = 0; // For frame skipping by the governor
+let scaledInputCanvas;     // Downscaled copy of the frame, when the governor asks for one
+let governorModelPath;     // The model the user picked, while the governor runs a faster one
+const FULL_QUALITY = { scale: 1, skip: 1, fastModel: false };
+// Bundled models and the faster one the governor may swap them for
+const FASTER_MODELS = {
+    "efficientdet_lite2.tflite": "efficientdet_lite0.tflite"
+};
+
+// --- Privacy ---
+// Categories anonymised before anything is shown or saved, see privacy.js
+let privacySettings = loadPrivacySettings();
+let privacyRegions = null; // Boxes to hide; null until the first detection on this input
+// Tracks the hidden categories whatever the class filter shows
+const privacyTracker = createTracker();
+
+// --- Accessibility ---
+// What is in view, as text in a live region and optionally spoken, see accessibility.js
+let accessibilitySettings = loadAccessibilitySettings();
+const announcer = createAnnouncer(sceneSummary, accessibilitySettings);
+// How far the threshold shortcuts move the slider
+const THRESHOLD_KEY_STEP = 0.05;
+
+// --- Accuracy Evaluation ---
+// A labelled image folder scored against the current model, see evaluation.js.
+// The raw results are kept, so changing thresholds only re-scores them.
+let evaluationDataset;   // From loadDataset()
+let evaluationResults;   // From runEvaluation()
+let evaluationModelPath; // The model the results came from
+let evaluationScores;    // From evaluate(), at the current thresholds
+let isEvaluating = false;
+let stopEvaluationRequested = false;
+let errorIndex = 0;      // Position in the error browser
+const GROUND_TRUTH_COLOR = "#4caf50";
+const ERROR_COLOR = "#ff5252";
+
+// --- Configuration ---
+// Settings from the link the app was opened with, see config.js
+const startupConfig = readConfigFromUrl();
+
 /**
  * Main setup function. Waits for the DOM to be ready.
  */
 document.addEventListener("DOMContentLoaded", setupApp);
 
+/**
+ * Offline support: precache the app and offer updates when they arrive.
+ */
+registerServiceWorker((applyUpdate) => {
+    updateBanner.classList.remove("hidden");
+    updateButton.onclick = () => {
+        updateButton.disabled = true;
+        applyUpdate();
+    };
+}).catch(error => console.error("Service worker registration failed:", error));
+
 async function setupApp() {
     try {
+        // Custom models the user added earlier go back into the dropdown
+        await loadCustomModelOptions();
+
+        // Settings from the link, before anything is loaded with the defaults
+        applyConfig(startupConfig);
+
         // First, check for camera permissions
         await checkCameraPermissions();
+        // The camera list only exists now
+        if (startupConfig.camera) selectCamera(startupConfig.camera);
         
         // Load the initial model and start the webcam
         await createOrUpdateDetector();
         await startWebcam();
+        // startWebcam() mirrors front cameras; the link has the last word
+        if (startupConfig.flip !== undefined) {
+            isFlipped = startupConfig.flip;
+            applyFlip();
+        }
         
         // Add event listeners for controls
         addControlListeners();
+        updateModelCacheUsage();
 
     } catch (error) {
         // This catches critical errors during *initial* setup
@@ -117,6 +466,32 @@ permissionButton.addEventListener("click", async () => {
     await setupApp(); 
 });
 
+/**
+ * Lets the user work on a file when there is no camera (or no permission).
+ * The picker has to open straight from the click, so the model is loaded
+ * once a file has actually been chosen.
+ */
+openFileButton.addEventListener("click", () => {
+    sourceSelect.value = "video";
+    videoFileInput.click();
+});
+
+/**
+ * Selects a camera by device ID, or by part of its name (device IDs differ
+ * between browsers, so shared links usually name the camera instead).
+ * @param {string} camera
+ */
+function selectCamera(camera) {
+    const options = Array.from(cameraSelect.options);
+    const option = options.find(option => option.value === camera)
+        || options.find(option => option.textContent.toLowerCase().includes(camera.toLowerCase()));
+    if (option) {
+        cameraSelect.value = option.value;
+    } else {
+        console.warn(`Camera "${camera}" not found; using ${cameraSelect.value || "the default camera"}`);
+    }
+}
+
 /**
  * Populates the camera dropdown list.
  */
@@ -148,67 +523,6 @@ async function populateCameraList() {
     }
 }
 
-/**
- * Downloads a model file, tracks progress, and returns an ArrayBuffer.
- * This function is now more robust against Content-Length discrepancies.
- * @param {string} modelPath - The path to the .tflite model file.
- * @param {(percentage: number, downloadedMB: string, totalMB: string) => void} progressCallback - Function to update UI.
- * @returns {Promise<Uint8Array>} - The model data as a Uint8Array.
- */
-async function downloadModelWithProgress(modelPath, progressCallback) {
-    const response = await fetch(modelPath);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch model: ${modelPath}. Server responded with ${response.status}`);
-    }
-
-    const reader = response.body.getReader();
-    
-    // Get total size from header. This is *only* for the progress bar.
-    const totalSizeHeader = response.headers.get('Content-Length');
-    const totalSize = totalSizeHeader ? parseInt(totalSizeHeader, 10) : 0;
-
-    let downloadedSize = 0;
-    let chunks = []; // Store downloaded chunks in a regular array
-
-    while (true) {
-        const { done, value } = await reader.read(); // value is a Uint8Array
-        if (done) break;
-
-        chunks.push(value); // Store the chunk
-        downloadedSize += value.length;
-
-        if (totalSize > 0) {
-            const percentage = Math.round((downloadedSize / totalSize) * 100);
-            const downloadedMB = (downloadedSize / 1024 / 1024).toFixed(1);
-            const totalMB = (totalSize / 1024 / 1024).toFixed(1);
-            progressCallback(percentage, downloadedMB, totalMB);
-        } else {
-            // Show progress in MB if total size is unknown
-            const downloadedMB = (downloadedSize / 1024 / 1024).toFixed(1);
-            progressCallback(0, downloadedMB, "??");
-        }
-    }
-
-    // --- THIS IS THE FIX ---
-    // 1. Create the final buffer with the *correct*, measured size
-    const modelBuffer = new Uint8Array(downloadedSize);
-    
-    // 2. Copy all the chunks into it
-    let offset = 0;
-    for (const chunk of chunks) {
-        modelBuffer.set(chunk, offset);
-        offset += chunk.length;
-    }
-    // --- END OF FIX ---
-
-    // Ensure progress bar hits 100%
-    const finalMB = (downloadedSize / 1024 / 1024).toFixed(1);
-    progressCallback(100, finalMB, finalMB);
-    
-    return modelBuffer;
-}
-
-
 /**
  * Callback function to update the correct progress bar (initial or overlay).
  * @param {boolean} isInitialLoad - True if it's the first page load.
@@ -245,40 +559,93 @@ async function createOrUpdateDetector() {
 
     try {
         const { ObjectDetector, vision } = await loadMediaPipe();
+        const runningMode = currentSource ? currentSource.runningMode : "VIDEO";
 
         const modelPath = modelSelect.value;
         const maxResults = parseInt(maxResultsSlider.value, 10);
         const scoreThreshold = parseFloat(thresholdSlider.value);
 
-        // --- Download the model (from cache or network) ---
+        // --- Download the model (from cache, IndexedDB or network) ---
         let modelBuffer;
         if (modelCache.has(modelPath)) {
             modelBuffer = modelCache.get(modelPath);
             overlayMessage.textContent = "Loading model from cache...";
+        } else if (modelPath.startsWith(CUSTOM_MODEL_PREFIX)) {
+            const record = await getRecord("customModels", Number(modelPath.slice(CUSTOM_MODEL_PREFIX.length)));
+            if (!record) {
+                throw new Error(`Custom model ${modelPath} is no longer stored in this browser`);
+            }
+            modelBuffer = record.data;
+            modelCache.set(modelPath, modelBuffer);
         } else {
             const progressCallback = createProgressCallback(isInitialLoad);
-            modelBuffer = await downloadModelWithProgress(modelPath, progressCallback);
+            modelBuffer = await loadModel(modelPath, progressCallback);
             modelCache.set(modelPath, modelBuffer); // Cache the downloaded model
+            updateModelCacheUsage();
         }
 
+        // --- Validate it (throws for anything that isn't a detector) ---
+        const info = await inspectModel(modelBuffer);
+
         // --- Create the detector ---
         const loadingMsgElement = isInitialLoad ? loadingMessage : overlayMessage;
         loadingMsgElement.textContent = "Initializing AI model...";
 
+        const detectorOptions = {
+            runningMode: runningMode,
+            maxResults: maxResults,
+            // Category allow/deny list and the lowest threshold in use
+            ...detectorCategoryOptions(scoreThreshold)
+        };
+
+        // Build the new detector first, so a model that fails to load
+        // leaves the old one running. If the GPU delegate fails, try the CPU.
+        const support = await probeGpuSupport();
+        let built;
+        try {
+            built = await buildWithFallback({
+                preference: delegateSelect.value,
+                support,
+                gpuFailed: gpuFailed || isRecoveringFromGpuFailure,
+                build: delegate => buildDetector(ObjectDetector, vision, modelBuffer, {
+                    ...detectorOptions,
+                    baseOptions: { delegate }
+                })
+            });
+        } catch (error) {
+            if (!support.webgl) {
+                error.message = `This browser has no WebGL, which MediaPipe needs to read frames even on the CPU (${error.message})`;
+            }
+            throw error;
+        }
+        const { detector: newDetector, delegate } = built;
+        // The CPU works, so a GPU that failed (now or mid-session) stays off
+        if (built.gpuFailed || isRecoveringFromGpuFailure) {
+            gpuFailed = true;
+        }
+
         // Close old detector if it exists
         if (objectDetector) {
-            objectDetector.close();
+            try {
+                objectDetector.close();
+            } catch (error) {
+                // A detector whose GPU context was lost may not close cleanly
+                console.warn("Could not close the previous detector:", error);
+            }
         }
-
-        objectDetector = await ObjectDetector.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetBuffer: modelBuffer,
-                delegate: "GPU"
-            },
-            runningMode: "VIDEO",
-            maxResults: maxResults,
-            scoreThreshold: scoreThreshold
+        objectDetector = newDetector;
+        detectorRunningMode = runningMode;
+        activeDelegate = delegate;
+        loadedMaxResults = maxResults;
+        loadedThreshold = scoreThreshold;
+        delegateValue.textContent = describeDelegate(delegate, {
+            support,
+            preference: delegateSelect.value,
+            gpuFailed
         });
+        loadedModelPath = modelPath;
+        showModelInfo(info);
+        precacheSelectedModels();
 
         // Hide loaders
         if (isInitialLoad) {
@@ -290,8 +657,302 @@ async function createOrUpdateDetector() {
         }
 
     } catch (error) {
-        handleSetupError(error);
+        if (!isInitialLoad && objectDetector) {
+            // The previous model is still running, so this isn't fatal
+            showModelError(error);
+        } else {
+            handleSetupError(error);
+        }
+    }
+}
+
+/**
+ * Creates the detector, in the worker if that was chosen, otherwise (or if
+ * the worker can't start) on the main thread.
+ * @param {object} ObjectDetector - From loadMediaPipe().
+ * @param {object} vision - From loadMediaPipe().
+ * @param {Uint8Array} modelBuffer - The .tflite model.
+ * @param {object} detectorOptions - ObjectDetector options, without the model.
+ * @returns {Promise<object>} - An ObjectDetector, or the worker proxy from worker-detector.js.
+ */
+async function buildDetector(ObjectDetector, vision, modelBuffer, detectorOptions) {
+    let workerError;
+    if (inferenceSelect.value === "worker") {
+        try {
+            const detector = await createWorkerDetector(modelBuffer, detectorOptions);
+            detector.addEventListener("detections", handleWorkerDetections);
+            detector.addEventListener("error", (event) => {
+                console.error("Inference worker error:", event.detail.message);
+                // Only WebGL errors move inference to the CPU, not a frame that failed
+                if (isGpuError(event.detail.message)) {
+                    handleGpuFailure(new Error(event.detail.message));
+                }
+            });
+            detector.addEventListener("contextlost", () => {
+                handleGpuFailure(new Error("WebGL context lost in the inference worker"));
+            });
+            return detector;
+        } catch (error) {
+            // Could be the worker or the delegate; the main thread tells us which
+            workerError = error;
+        }
+    }
+
+    const gpuCanvas = createGpuCanvas();
+    gpuCanvas.addEventListener("webglcontextlost", () => {
+        handleGpuFailure(new Error("WebGL context lost"));
+    });
+    const detector = await ObjectDetector.createFromOptions(vision, {
+        ...detectorOptions,
+        baseOptions: { ...detectorOptions.baseOptions, modelAssetBuffer: modelBuffer },
+        canvas: gpuCanvas
+    });
+
+    if (workerError) {
+        console.warn("Worker inference unavailable, using the main thread:", workerError);
+        inferenceSelect.value = "main";
+    }
+    return detector;
+}
+
+/**
+ * The GPU stopped working mid-session (context lost, or detection
+ * throwing a WebGL error): rebuilds the detector on the CPU. Other
+ * detection errors (e.g. one bad frame) leave the delegate alone.
+ * @param {Error} error - What went wrong.
+ */
+function handleGpuFailure(error) {
+    if (activeDelegate !== "GPU" || isRecoveringFromGpuFailure || !isGpuError(error)) return;
+
+    console.warn("GPU delegate failed, switching to the CPU:", error);
+    isRecoveringFromGpuFailure = true; // createOrUpdateDetector() sets gpuFailed once the CPU works
+    detectorRunningMode = undefined; // Stop using the broken detector
+    createOrUpdateDetector().finally(() => {
+        isRecoveringFromGpuFailure = false;
+    });
+}
+
+/**
+ * Shows what was found inside the loaded model, and switches the class
+ * picker to the model's own labels if it has them.
+ * @param {object} info - From inspectModel().
+ */
+function showModelInfo(info) {
+    loadedModelInfo = info;
+    modelInfo.classList.remove("error");
+    modelInfo.innerHTML = '';
+
+    const summary = document.createElement("div");
+    summary.textContent = describeModel(info);
+    modelInfo.appendChild(summary);
+
+    // "???" marks unused indices in COCO label maps
+    const labels = info.labels.filter(label => label && label !== "???");
+    if (labels.length > 0) {
+        const details = document.createElement("details");
+        const title = document.createElement("summary");
+        title.textContent = `Labels (${labels.length})`;
+        const list = document.createElement("p");
+        list.textContent = labels.join(", ");
+        details.append(title, list);
+        modelInfo.appendChild(details);
+    }
+
+    removeModelButton.disabled = !modelSelect.selectedOptions[0]?.dataset.recordId;
+
+    const newClasses = labels.length > 0 ? labels : COCO_CLASSES;
+    if (newClasses.join() !== availableClasses.join()) {
+        availableClasses = newClasses;
+        renderClassList();
+    }
+}
+
+/**
+ * Reports a model that failed to load and goes back to the one still running.
+ */
+function showModelError(error) {
+    console.error("Error loading model:", error);
+
+    overlayProgressContainer.classList.add("hidden");
+    overlayMessage.textContent = `Could not load model: ${error.message}`;
+    setTimeout(() => {
+        videoOverlay.classList.add("hidden");
+        overlaySpinner.classList.remove("hidden");
+    }, 3000);
+
+    modelInfo.textContent = `Could not load model: ${error.message}`;
+    modelInfo.classList.add("error");
+    if (loadedModelPath) {
+        modelSelect.value = loadedModelPath;
+    }
+}
+
+/**
+ * Puts the models this session may need offline into the persistent cache:
+ * the one the user picked and the faster one adaptive quality may switch to.
+ */
+function precacheSelectedModels() {
+    const selected = governorModelPath || modelSelect.value;
+    const paths = [selected, FASTER_MODELS[selected]]
+        .filter(path => path && !path.startsWith(CUSTOM_MODEL_PREFIX));
+    precacheModels(paths).then(updateModelCacheUsage);
+}
+
+/**
+ * Shows how much space the persistent model cache is using.
+ */
+async function updateModelCacheUsage() {
+    try {
+        const { count, bytes } = await getModelCacheUsage();
+        modelCacheValue.textContent = `${count} (${(bytes / 1024 / 1024).toFixed(1)} MB)`;
+        clearModelCacheButton.disabled = count === 0;
+    } catch (error) {
+        modelCacheValue.textContent = "n/a";
+        clearModelCacheButton.disabled = true;
+    }
+}
+
+/**
+ * Adds an entry to the model dropdown.
+ * @param {string} path - The option value: a URL, or "custom:<id>".
+ * @param {string} name - What the user sees.
+ * @param {number} [recordId] - The customModels record, for saved models.
+ */
+function addModelOption(path, name, recordId) {
+    const option = document.createElement("option");
+    option.value = path;
+    option.textContent = `Custom: ${name}`;
+    if (recordId !== undefined) {
+        option.dataset.recordId = recordId;
+    }
+    modelSelect.appendChild(option);
+    return option;
+}
+
+/**
+ * Puts saved custom models back into the model dropdown.
+ */
+async function loadCustomModelOptions() {
+    // setupApp() runs again after a permission retry
+    if (modelSelect.querySelector("[data-record-id]")) return;
+
+    try {
+        const records = await getAllRecords("customModels");
+        for (const record of records) {
+            const path = record.source === "url" ? record.url : `${CUSTOM_MODEL_PREFIX}${record.id}`;
+            addModelOption(path, record.name, record.id);
+        }
+    } catch (error) {
+        // Storage may be unavailable (e.g. private browsing); built-in models still work
+        console.error("Could not load custom models:", error);
+    }
+}
+
+/**
+ * Tries a custom model, and keeps it in the dropdown only if it loads.
+ * @param {string} path - Option value for the model.
+ * @param {string} name - Display name.
+ * @returns {Promise<HTMLOptionElement|null>} - The new option, or null if it failed.
+ */
+async function tryCustomModel(path, name) {
+    const option = addModelOption(path, name);
+    modelSelect.value = path;
+    await createOrUpdateDetector();
+
+    if (loadedModelPath !== path) {
+        option.remove();
+        modelCache.delete(path);
+        return null;
+    }
+    return option;
+}
+
+/**
+ * Adds a .tflite model picked from the local disk.
+ * The file is validated first, then stored in IndexedDB.
+ * @param {File} file
+ */
+async function addModelFromFile(file) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    try {
+        await inspectModel(data);
+    } catch (error) {
+        modelInfo.textContent = `${file.name}: ${error.message}`;
+        modelInfo.classList.add("error");
+        return;
+    }
+
+    const id = await putRecord("customModels", {
+        name: file.name,
+        source: "file",
+        data,
+        addedAt: Date.now()
+    });
+    const path = `${CUSTOM_MODEL_PREFIX}${id}`;
+    modelCache.set(path, data);
+
+    const option = await tryCustomModel(path, file.name);
+    if (option) {
+        option.dataset.recordId = id;
+        removeModelButton.disabled = false;
+    } else {
+        await deleteRecord("customModels", id);
+    }
+}
+
+/**
+ * Adds a .tflite model from a URL (the server must allow CORS).
+ * Only the URL is stored; the model is downloaded like the built-in ones.
+ * @param {string} url
+ */
+async function addModelFromUrl(url) {
+    // Already in the dropdown: just switch to it
+    const existing = Array.from(modelSelect.options).find(option => option.value === url);
+    if (existing) {
+        modelSelect.value = url;
+        await createOrUpdateDetector();
+        return;
+    }
+
+    const fileName = new URL(url, location.href).pathname.split("/").pop();
+    let name;
+    try {
+        name = decodeURIComponent(fileName) || url;
+    } catch {
+        name = fileName || url; // Not valid percent-encoding, e.g. "model%.tflite"
     }
+    const option = await tryCustomModel(url, name);
+    if (option) {
+        const id = await putRecord("customModels", { name, source: "url", url, addedAt: Date.now() });
+        option.dataset.recordId = id;
+        removeModelButton.disabled = false;
+    }
+}
+
+/**
+ * Shows why adding or removing a custom model failed (e.g. IndexedDB
+ * blocked or full, or a malformed URL).
+ * @param {Error} error
+ */
+function showCustomModelError(error) {
+    console.error("Custom model error:", error);
+    modelInfo.textContent = `Could not update custom models: ${error.message}`;
+    modelInfo.classList.add("error");
+}
+
+/**
+ * Forgets the selected custom model and goes back to the default one.
+ */
+async function removeSelectedModel() {
+    const option = modelSelect.selectedOptions[0];
+    if (!option || !option.dataset.recordId) return;
+
+    await deleteRecord("customModels", Number(option.dataset.recordId));
+    modelCache.delete(option.value);
+    option.remove();
+
+    modelSelect.selectedIndex = 0;
+    await createOrUpdateDetector();
 }
 
 /**
@@ -317,10 +978,8 @@ async function loadMediaPipe() {
  * Starts or restarts the webcam stream with the selected device.
  */
 async function startWebcam() {
-    // Stop any existing stream
-    if (currentStream) {
-        currentStream.getTracks().forEach(track => track.stop());
-    }
+    // Stop any existing source first; some devices only allow one open stream
+    stopCurrentSource();
 
     const deviceId = cameraSelect.value;
     const constraints = {
@@ -332,14 +991,11 @@ async function startWebcam() {
     };
 
     try {
-        currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-        video.srcObject = currentStream;
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        await switchSource(createCameraSource(video, stream));
 
         // Auto-flip based on camera facing mode
         autoFlipCamera(deviceId);
-        
-        // Start the detection loop
-        video.addEventListener("loadeddata", predictWebcam);
 
     } catch (error) {
         console.error("Error starting webcam:", error);
@@ -347,6 +1003,34 @@ async function startWebcam() {
     }
 }
 
+/**
+ * Opens every camera at once in a grid that shares the detector (see grid.js).
+ * If none of them open, the current input keeps running.
+ */
+async function startCameraGrid() {
+    // Reopening the grid: it has to let go of the cameras and tiles first
+    if (currentSource && currentSource.kind === "grid") {
+        stopCurrentSource();
+    }
+    // Camera labels are only available once permission has been granted
+    await populateCameraList();
+
+    let grid;
+    try {
+        grid = await openCameraGrid(cameraGrid, videoDevices, {
+            colorFor: category => classColor(classSettings, category),
+            isFlipped: () => isFlipped,
+            getPrivacy: () => privacySettings
+        });
+    } catch (error) {
+        console.error("Error starting camera grid:", error);
+        alert(`Could not open the cameras: ${error.message}`);
+        sourceSelect.value = currentSource ? currentSource.kind : "camera";
+        return;
+    }
+    await switchSource(grid);
+}
+
 /**
  * Automatically flips the video if the camera is user-facing.
  */
@@ -358,161 +1042,2046 @@ function autoFlipCamera(selectedDeviceId) {
     
     if (selectedDevice) {
         facingMode = selectedDevice.facingMode || 'user';
-    } else if (currentStream) {
+    } else if (currentSource && currentSource.stream) {
         // Fallback: check the track's settings
-        const trackSettings = currentStream.getVideoTracks()[0].getSettings();
+        const trackSettings = currentSource.stream.getVideoTracks()[0].getSettings();
         facingMode = trackSettings.facingMode || 'user';
     }
 
     // Flip if 'user' (front camera), don't flip if 'environment' (back camera)
     isFlipped = (facingMode === 'user');
+    applyFlip();
+}
+
+/**
+ * Mirrors whichever element is currently showing the input.
+ */
+function applyFlip() {
     video.classList.toggle('flipped', isFlipped);
+    imageView.classList.toggle('flipped', isFlipped);
+    privacyCanvas.classList.toggle('flipped', isFlipped);
+    cameraGrid.classList.toggle('flipped', isFlipped);
 }
 
 /**
- * Binds all the event listeners for the control panel.
+ * Stops the current input source, if there is one.
  */
-function addControlListeners() {
-    // --- Smooth Label Updates (on 'input') ---
-    maxResultsSlider.addEventListener("input", () => {
-        maxResultsValue.textContent = maxResultsSlider.value;
-    });
+function stopCurrentSource() {
+    if (currentSource) {
+        currentSource.stop();
+        currentSource = undefined;
+    }
+}
 
-    thresholdSlider.addEventListener("input", () => {
-        thresholdValue.textContent = `${Math.round(parseFloat(thresholdSlider.value) * 100)}%`;
-    });
+/**
+ * Makes `source` the active input and (re)starts the detection loop on it.
+ * @param {object} source - A source created by one of the sources.js factories.
+ */
+async function switchSource(source) {
+    stopCurrentSource();
+    currentSource = source;
+    lastFrameKey = undefined;
+    lastCapturedKey = undefined;
+    perfMonitor.reset();
 
-    // --- Heavy AI Updates (on 'change', when user releases) ---
-    let currentModel = modelSelect.value;
-    modelSelect.addEventListener("change", () => {
-        if (modelSelect.value !== currentModel) {
-            currentModel = modelSelect.value;
-            createOrUpdateDetector();
-        }
-    });
+    // IDs from the previous source mean nothing on the new one
+    tracker.reset();
+    if (smoother) smoother.reset();
+    zoneManager.resetStats();
+    lastTracks = [];
+    privacyTracker.reset();
+    privacyRegions = null;
+    announcer.reset();
+    renderOverlay();
 
-    let currentMaxResults = maxResultsSlider.value;
-    maxResultsSlider.addEventListener("change", () => {
-        if (maxResultsSlider.value !== currentMaxResults) {
-            currentMaxResults = maxResultsSlider.value;
-            createOrUpdateDetector();
-        }
-    });
+    video.classList.toggle("hidden", source.element !== video);
+    imageView.classList.toggle("hidden", source.element !== imageView);
+    // The grid draws on its own canvases
+    canvas.classList.toggle("hidden", source.kind === "grid");
+    sourceSelect.value = source.kind;
+    updateSourceControls();
 
-    let currentThreshold = thresholdSlider.value;
-    thresholdSlider.addEventListener("change", () => {
-        if (thresholdSlider.value !== currentThreshold) {
-            currentThreshold = currentThreshold;
-            createOrUpdateDetector();
-        }
-    });
-    
-    // --- Other Controls ---
-    cameraSelect.addEventListener("change", startWebcam);
-    
-    flipButton.addEventListener("click", () => {
-        isFlipped = !isFlipped;
-        video.classList.toggle('flipped', isFlipped);
-    });
+    // Video files and image folders are never mirrored by default
+    if (source.kind !== "camera") {
+        isFlipped = false;
+        applyFlip();
+    }
+
+    await syncRunningMode();
+    startDetectionLoop();
 }
 
 /**
- * The main detection loop.
+ * Switches the detector between VIDEO and IMAGE mode to match the source.
  */
-async function predictWebcam() {
-    if (video.readyState < 2) {
-      window.requestAnimationFrame(predictWebcam);
-      return;
-    }
-    
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+async function syncRunningMode() {
+    if (!objectDetector || !currentSource) return;
+    if (detectorRunningMode === currentSource.runningMode) return;
 
-    if (objectDetector && video.currentTime !== lastVideoTime) {
-        lastVideoTime = video.currentTime;
-        
-        // --- FIX ---
-        // Changed Date.Now() to Date.now() (lowercase 'n')
-        const results = objectDetector.detectForVideo(video, Date.now());
+    await updateDetectorOptions({ runningMode: currentSource.runningMode });
+}
 
-        canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        for (const detection of results.detections) {
-            drawDetection(detection);
-        }
+/**
+ * Changes options on the running detector.
+ * setOptions() keeps the loaded model, so this is much cheaper than
+ * createOrUpdateDetector(); detection is paused until it finishes.
+ * @param {object} options - ObjectDetector options to change.
+ */
+async function updateDetectorOptions(options) {
+    if (!objectDetector) return;
+
+    const runningMode = options.runningMode || detectorRunningMode;
+    detectorRunningMode = undefined; // Pause detection while we switch
+    try {
+        await objectDetector.setOptions(options);
+    } finally {
+        detectorRunningMode = runningMode;
     }
+}
 
-    // Keep the loop going
-    window.requestAnimationFrame(predictWebcam);
+/**
+ * Makes sure the model is loaded and the controls work.
+ * Needed when the user skips the camera and goes straight to a file.
+ */
+async function ensureDetectorReady() {
+    if (!objectDetector) {
+        await createOrUpdateDetector();
+    }
+    addControlListeners();
 }
 
 /**
- * Draws a single detection (box and label) onto the canvas.
- * This function is now "flip-aware".
- * @param {object} detection - A single detection object from MediaPipe.
+ * Opens a video file as the input source.
+ * @param {File} file
  */
-function drawDetection(detection) {
-    const box = detection.boundingBox;
-    
-    // --- 1. Calculate Coordinates ---
-    let x, textX, textBgX;
-    
-    if (isFlipped) {
-        // Flipped calculation
-        x = canvas.width - box.originX - box.width;
-    } else {
-        // Normal calculation
-        x = box.originX;
-    }
-
-    const y = box.originY;
-    const w = box.width;
-    const h = box.height;
-
-    // --- 2. Draw the Bounding Box ---
-    canvasCtx.beginPath();
-    // --- FIX ---
-    // Replaced invalid CSS `var()` with a simple string
-    canvasCtx.strokeStyle = "#00bcd4"; 
-    canvasCtx.lineWidth = Math.max(2, canvas.width * 0.003); // Responsive line width
-    canvasCtx.rect(x, y, w, h);
-    canvasCtx.stroke();
+async function openVideoFile(file) {
+    const previousKind = currentSource ? currentSource.kind : "camera";
+    await ensureDetectorReady();
+    try {
+        await switchSource(createVideoFileSource(video, file));
+        await currentSource.play();
+    } catch (error) {
+        // Usually a codec the browser can't play (NotSupportedError)
+        console.error("Error opening video file:", error);
+        alert(`Could not play ${file.name}: ${error.message}`);
+        stopCurrentSource();
+        // The previous file source is already closed; live ones can be reopened
+        if (previousKind === "grid") {
+            await startCameraGrid();
+        } else {
+            sourceSelect.value = "camera";
+            await startWebcam();
+        }
+    }
+}
+
+/**
+ * Opens a set of images (usually a folder) as the input source.
+ * @param {FileList|Array<File>} files
+ */
+async function openImageFiles(files) {
+    let source;
+    try {
+        source = createImageFolderSource(imageView, files);
+    } catch (error) {
+        console.error("Error opening images:", error);
+        alert(error.message);
+        sourceSelect.value = currentSource ? currentSource.kind : "camera";
+        return;
+    }
+    await ensureDetectorReady();
+    await switchSource(source);
+}
+
+/**
+ * Shows the controls that belong to the current source and hides the rest.
+ */
+function updateSourceControls() {
+    const kind = currentSource ? currentSource.kind : "camera";
+
+    cameraSelectContainer.style.display = (kind === "camera" && videoDevices.length > 1) ? 'flex' : 'none';
+    playbackControls.classList.toggle("hidden", kind !== "video");
+    imageControls.classList.toggle("hidden", kind !== "images");
+
+    if (kind === "video") {
+        const duration = currentSource.getDuration();
+        seekSlider.max = duration || 1;
+        seekSlider.value = currentSource.getCurrentTime();
+        seekValue.textContent = formatTime(currentSource.getCurrentTime());
+        playPauseButton.textContent = currentSource.isPaused() ? "Play" : "Pause";
+    } else if (kind === "images") {
+        imageIndexValue.textContent = `${currentSource.getIndex() + 1} / ${currentSource.getCount()}`;
+        imageIndexValue.title = currentSource.getName();
+    }
+}
+
+/**
+ * Formats seconds as m:ss for the seek label.
+ */
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+    return `${minutes}:${secs}`;
+}
+
+/**
+ * The current configuration, in the form config.js reads and writes.
+ */
+function getCurrentConfig() {
+    return {
+        // The user's model, not one the governor swapped in
+        model: governorModelPath || modelSelect.value,
+        maxResults: parseInt(maxResultsSlider.value, 10),
+        threshold: parseFloat(thresholdSlider.value),
+        camera: cameraSelect.value || undefined,
+        flip: isFlipped,
+        inference: inferenceSelect.value,
+        delegate: delegateSelect.value,
+        classMode: classSettings.mode,
+        classes: classSettings.categories,
+        classThresholds: classSettings.thresholds,
+        adaptiveFps: qualityGovernor ? qualityGovernor.targetFps : 0
+    };
+}
+
+/**
+ * Puts a configuration into the controls. Doesn't reload anything; see
+ * loadConfig() for that. Fields that are missing, or name a model or option
+ * this browser doesn't have, are left alone.
+ * @param {object} config - See config.js.
+ */
+function applyConfig(config) {
+    const setSelect = (select, value) => {
+        const option = Array.from(select.options).find(option => option.value === value && !option.disabled);
+        if (option) {
+            select.value = value;
+        } else {
+            console.warn(`"${value}" is not available for ${select.id}; keeping "${select.value}"`);
+        }
+    };
+
+    if (config.model !== undefined) {
+        governorModelPath = undefined;
+        setSelect(modelSelect, config.model);
+    }
+    if (config.maxResults !== undefined) {
+        maxResultsSlider.value = config.maxResults;
+        maxResultsValue.textContent = maxResultsSlider.value;
+    }
+    if (config.threshold !== undefined) {
+        thresholdSlider.value = config.threshold;
+        thresholdValue.textContent = `${Math.round(parseFloat(thresholdSlider.value) * 100)}%`;
+    }
+    if (config.camera !== undefined && cameraSelect.options.length > 0) {
+        selectCamera(config.camera);
+    }
+    if (config.flip !== undefined) {
+        isFlipped = config.flip;
+        applyFlip();
+    }
+    if (config.inference !== undefined) setSelect(inferenceSelect, config.inference);
+    if (config.delegate !== undefined) setSelect(delegateSelect, config.delegate);
+
+    if (config.classMode !== undefined || config.classes !== undefined || config.classThresholds !== undefined) {
+        classSettings = {
+            ...classSettings,
+            mode: config.classMode ?? classSettings.mode,
+            categories: config.classes ?? classSettings.categories,
+            thresholds: config.classThresholds ?? classSettings.thresholds
+        };
+        saveClassSettings(classSettings);
+        renderClassList();
+    }
+
+    if (config.adaptiveFps !== undefined) {
+        if (config.adaptiveFps > 0) targetFpsInput.value = config.adaptiveFps;
+        adaptiveToggle.checked = config.adaptiveFps > 0;
+        adaptiveToggle.dispatchEvent(new Event("change"));
+    }
+}
+
+/**
+ * Applies a configuration and reloads whatever it changed.
+ * @param {object} config - See config.js.
+ */
+async function loadConfig(config) {
+    const previousCamera = cameraSelect.value;
+    applyConfig(config);
+
+    await createOrUpdateDetector();
+    if (cameraSelect.value !== previousCamera && currentSource && currentSource.kind === "camera") {
+        await startWebcam();
+        if (config.flip !== undefined) {
+            isFlipped = config.flip;
+            applyFlip();
+        }
+    }
+    renderOverlay();
+}
+
+/**
+ * Rebuilds the preset dropdown.
+ * @param {string} [selected] - Preset to show as selected.
+ */
+function refreshPresetOptions(selected = "") {
+    presetSelect.innerHTML = '<option value="">Choose a preset...</option>';
+    for (const name of Object.keys(loadPresets()).sort()) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        presetSelect.appendChild(option);
+    }
+    presetSelect.value = selected;
+    deletePresetButton.disabled = !presetSelect.value;
+}
+
+/**
+ * Binds all the event listeners for the control panel.
+ */
+function addControlListeners() {
+    // setupApp() runs again after a permission retry; only bind once
+    if (controlsBound) return;
+    controlsBound = true;
+
+    // --- Smooth Label Updates (on 'input') ---
+    maxResultsSlider.addEventListener("input", () => {
+        maxResultsValue.textContent = maxResultsSlider.value;
+    });
+
+    thresholdSlider.addEventListener("input", () => {
+        thresholdValue.textContent = `${Math.round(parseFloat(thresholdSlider.value) * 100)}%`;
+    });
+
+    // --- Heavy AI Updates (on 'change', when user releases) ---
+    modelSelect.addEventListener("change", () => {
+        // The user's choice wins over a model the governor swapped in
+        governorModelPath = undefined;
+        if (modelSelect.value !== loadedModelPath) {
+            createOrUpdateDetector();
+        }
+    });
+
+    // Moving inference between the worker and the main thread needs a new detector
+    inferenceSelect.addEventListener("change", createOrUpdateDetector);
+
+    // An explicit choice gives the GPU another chance after a failure
+    delegateSelect.addEventListener("change", () => {
+        gpuFailed = false;
+        createOrUpdateDetector();
+    });
+
+    // --- Custom Models ---
+    loadModelFileButton.addEventListener("click", () => modelFileInput.click());
+
+    modelFileInput.addEventListener("change", () => {
+        const file = modelFileInput.files[0];
+        modelFileInput.value = '';
+        if (file) addModelFromFile(file).catch(showCustomModelError);
+    });
+
+    loadModelUrlButton.addEventListener("click", () => {
+        const url = modelUrlInput.value.trim();
+        if (url) addModelFromUrl(url).catch(showCustomModelError);
+    });
+
+    removeModelButton.addEventListener("click", () => {
+        removeSelectedModel().catch(showCustomModelError);
+    });
+
+    clearModelCacheButton.addEventListener("click", async () => {
+        await clearModelCache();
+        // Keep only the running model in memory
+        for (const path of modelCache.keys()) {
+            if (path !== loadedModelPath) modelCache.delete(path);
+        }
+        updateModelCacheUsage();
+    });
+
+    // Compared with what the detector was built with, so values set from a
+    // preset or link are picked up too
+    maxResultsSlider.addEventListener("change", () => {
+        if (parseInt(maxResultsSlider.value, 10) !== loadedMaxResults) {
+            createOrUpdateDetector();
+        }
+    });
+
+    thresholdSlider.addEventListener("change", () => {
+        if (parseFloat(thresholdSlider.value) !== loadedThreshold) {
+            createOrUpdateDetector();
+        }
+    });
     
-    // --- 3. Draw the Label ---
-    const label = `${detection.categories[0].categoryName} (${Math.round(detection.categories[0].score * 100)}%)`;
+    // --- Other Controls ---
+    cameraSelect.addEventListener("change", startWebcam);
     
-    const fontSize = Math.max(16, canvas.width * 0.012);
-    canvasCtx.font = `bold ${fontSize}px Arial`;
-    const textWidth = canvasCtx.measureText(label).width;
-    const textHeight = fontSize * 1.4;
-
-    // Set text alignment based on flip state
-    if (isFlipped) {
-        textX = x + w - textWidth - 5; // Align text to the right inside the box
-        textBgX = x + w - textWidth - 10;
+    flipButton.addEventListener("click", () => {
+        isFlipped = !isFlipped;
+        applyFlip();
+        renderOverlay();
+    });
+}
+
+// --- Presets & Shareable Links ---
+presetSelect.addEventListener("change", () => {
+    deletePresetButton.disabled = !presetSelect.value;
+    const config = loadPresets()[presetSelect.value];
+    if (config) loadConfig(config);
+});
+
+savePresetButton.addEventListener("click", () => {
+    const name = prompt("Save the current settings as:", presetSelect.value);
+    if (!name || !name.trim()) return;
+    savePreset(name.trim(), getCurrentConfig());
+    refreshPresetOptions(name.trim());
+});
+
+deletePresetButton.addEventListener("click", () => {
+    if (!presetSelect.value || !confirm(`Delete the preset "${presetSelect.value}"?`)) return;
+    deletePreset(presetSelect.value);
+    refreshPresetOptions();
+});
+
+copyLinkButton.addEventListener("click", async () => {
+    const link = toConfigUrl(getCurrentConfig());
+    // Reloading keeps these settings, too
+    history.replaceState(null, "", link);
+    try {
+        await navigator.clipboard.writeText(link);
+        copyLinkButton.textContent = "Copied!";
+        setTimeout(() => { copyLinkButton.textContent = "Copy Link"; }, 2000);
+    } catch (error) {
+        // No clipboard access (e.g. not https): let the user copy it
+        prompt("Copy this link:", link);
+    }
+});
+
+refreshPresetOptions();
+
+// --- Input Source Listeners ---
+// Bound straight away (not in addControlListeners) so files can be opened
+// even when camera permission was denied.
+
+sourceSelect.addEventListener("change", () => {
+    if (sourceSelect.value === "camera") {
+        ensureDetectorReady().then(startWebcam);
+    } else if (sourceSelect.value === "video") {
+        videoFileInput.click();
+    } else if (sourceSelect.value === "images") {
+        imageFolderInput.click();
+    } else if (sourceSelect.value === "grid") {
+        ensureDetectorReady().then(startCameraGrid);
+    }
+});
+
+// If the picker is dismissed, put the dropdown back to what is really running
+for (const input of [videoFileInput, imageFolderInput]) {
+    input.addEventListener("cancel", () => {
+        sourceSelect.value = currentSource ? currentSource.kind : "camera";
+    });
+}
+
+videoFileInput.addEventListener("change", () => {
+    const file = videoFileInput.files[0];
+    videoFileInput.value = ''; // Allow re-opening the same file
+    if (file) {
+        permissionOverlay.classList.add("hidden");
+        openVideoFile(file);
+    }
+});
+
+imageFolderInput.addEventListener("change", () => {
+    const files = Array.from(imageFolderInput.files);
+    imageFolderInput.value = '';
+    if (files.length > 0) {
+        permissionOverlay.classList.add("hidden");
+        openImageFiles(files);
+    }
+});
+
+// Drag & drop a video file, or one or more images, onto the live view
+liveView.addEventListener("dragover", (event) => {
+    event.preventDefault();
+});
+
+liveView.addEventListener("drop", (event) => {
+    event.preventDefault();
+    const files = Array.from(event.dataTransfer.files);
+    const videoFile = files.find(file => file.type.startsWith("video/"));
+
+    permissionOverlay.classList.add("hidden");
+    if (videoFile) {
+        openVideoFile(videoFile);
+    } else if (files.length > 0) {
+        openImageFiles(files);
+    }
+});
+
+// --- Recording & Export ---
+recordButton.addEventListener("click", toggleRecording);
+
+exportJsonButton.addEventListener("click", () => {
+    downloadBlob(recordingSession.toJsonLines(), exportFileName("detections", "jsonl", recordingSession.startedAt));
+});
+
+exportCsvButton.addEventListener("click", () => {
+    downloadBlob(recordingSession.toCsv(), exportFileName("detections", "csv", recordingSession.startedAt));
+});
+
+exportCocoButton.addEventListener("click", async () => {
+    exportCocoButton.disabled = true;
+    exportCocoButton.textContent = "Packing...";
+    try {
+        const zip = await recordingSession.toCoco();
+        downloadBlob(zip, exportFileName("coco", "zip", recordingSession.startedAt));
+    } catch (error) {
+        console.error("COCO export failed:", error);
+    } finally {
+        exportCocoButton.disabled = false;
+        exportCocoButton.textContent = "COCO";
+    }
+});
+
+if (clipRecorder) {
+    clipButton.addEventListener("click", () => {
+        if (clipRecorder.isRecording()) {
+            finishClip();
+        } else {
+            startClip();
+        }
+    });
+    preRollSelect.addEventListener("change", () => {
+        clipRecorder.setPreRoll(parseFloat(preRollSelect.value));
+    });
+} else {
+    clipControls.classList.add("hidden");
+}
+
+// --- Zones ---
+zoneManager.addEventListener("change", () => {
+    refreshZoneList();
+    refreshRuleZoneOptions();
+    renderOverlay();
+});
+zoneEditor.addEventListener("change", renderOverlay);
+
+drawZoneButton.addEventListener("click", () => zoneEditor.start("polygon"));
+drawLineButton.addEventListener("click", () => zoneEditor.start("line"));
+
+clearZonesButton.addEventListener("click", () => {
+    zoneEditor.cancel();
+    zoneManager.clear();
+});
+
+saveZonesButton.addEventListener("click", () => {
+    const json = JSON.stringify(zoneManager.toJSON(), null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), exportFileName("zones", "json"));
+});
+
+loadZonesButton.addEventListener("click", () => zonesFileInput.click());
+
+zonesFileInput.addEventListener("change", async () => {
+    const file = zonesFileInput.files[0];
+    zonesFileInput.value = '';
+    if (!file) return;
+
+    try {
+        zoneManager.load(JSON.parse(await file.text()));
+    } catch (error) {
+        console.error("Error loading zones:", error);
+        alert(`Could not load zones: ${error.message}`);
+    }
+});
+
+// --- Inference Thread ---
+if (!isWorkerInferenceSupported()) {
+    inferenceSelect.value = "main";
+    inferenceSelect.querySelector('option[value="worker"]').disabled = true;
+}
+
+// --- Performance ---
+hudToggle.addEventListener("change", renderOverlay);
+
+adaptiveToggle.addEventListener("change", () => {
+    if (adaptiveToggle.checked) {
+        qualityGovernor = createQualityGovernor({
+            targetFps: parseFloat(targetFpsInput.value),
+            mainThread: !objectDetector || !objectDetector.isWorker
+        });
     } else {
-        textX = x + 5; // Align text to the left inside the box
-        textBgX = x;
+        qualityGovernor = undefined;
+        applyQualitySettings(); // Gives back a model the governor swapped out
     }
-    
-    // Handle label position (move inside if at the top edge)
-    let textY = y + textHeight * 0.8;
-    let textBgY = y;
-    
-    if (textBgY < textHeight) { // If label is near the top edge
-        textY = y + h - (textHeight * 0.2);
-        textBgY = y + h - textHeight;
+    renderOverlay();
+});
+
+targetFpsInput.addEventListener("change", () => {
+    if (qualityGovernor) {
+        qualityGovernor.targetFps = parseFloat(targetFpsInput.value);
     }
+});
 
-    // Draw the text background
-    canvasCtx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    canvasCtx.fillRect(textBgX, textBgY, textWidth + 10, textHeight);
-    
-    // Draw the text
-    // --- FIX ---
-    // Replaced invalid CSS `var()` with a simple string
-    canvasCtx.fillStyle = "#00bcd4";
-    canvasCtx.fillText(label, textX, textY);
+// --- Privacy ---
+for (const [effect, label] of Object.entries(PRIVACY_EFFECTS)) {
+    privacyEffectSelect.add(new Option(label, effect));
+}
+privacyToggle.checked = privacySettings.enabled;
+privacyCategoriesInput.value = privacySettings.categories.join(", ");
+privacyEffectSelect.value = privacySettings.effect;
+liveView.classList.toggle("privacy", privacySettings.enabled);
+
+for (const input of [privacyToggle, privacyCategoriesInput, privacyEffectSelect]) {
+    input.addEventListener("change", updatePrivacySettings);
+}
+
+// --- Smoothing ---
+smoothingToggle.checked = smoothingSettings.enabled;
+smoothingMethodSelect.value = smoothingSettings.method;
+smoothingSlider.value = smoothingSettings.strength;
+animateToggle.checked = smoothingSettings.animate;
+hysteresisSelect.value = String(smoothingSettings.hysteresis);
+labelWindowSelect.value = String(smoothingSettings.labelWindow);
+applySmoothingSettings();
+
+for (const input of [smoothingToggle, smoothingMethodSelect, smoothingSlider, animateToggle, hysteresisSelect, labelWindowSelect]) {
+    input.addEventListener("change", async () => {
+        readSmoothingControls();
+        applySmoothingSettings();
+        renderOverlay();
+        await updateDetectorOptions(detectorCategoryOptions(parseFloat(thresholdSlider.value)));
+    });
+}
+
+// --- Accessibility ---
+describeToggle.checked = accessibilitySettings.enabled;
+speakToggle.checked = accessibilitySettings.speak;
+speakToggle.disabled = !isSpeechSupported();
+speechIntervalSelect.value = String(accessibilitySettings.intervalMs);
+speechRateSelect.value = String(accessibilitySettings.rate);
+shortcutsToggle.checked = accessibilitySettings.shortcuts;
+applyAccessibilitySettings();
+
+for (const input of [describeToggle, speakToggle, speechIntervalSelect, speechRateSelect, shortcutsToggle]) {
+    input.addEventListener("change", () => {
+        accessibilitySettings = {
+            enabled: describeToggle.checked,
+            speak: speakToggle.checked,
+            intervalMs: parseInt(speechIntervalSelect.value, 10),
+            rate: parseFloat(speechRateSelect.value),
+            shortcuts: shortcutsToggle.checked
+        };
+        saveAccessibilitySettings(accessibilitySettings);
+        applyAccessibilitySettings();
+    });
+}
+
+// --- Keyboard Shortcuts ---
+// Single keys, listed under "Keyboard shortcuts" in the controls, where they
+// can be turned off. Buttons are clicked rather than called, so disabled
+// ones stay disabled.
+const SHORTCUTS = {
+    "a": () => {
+        describeToggle.checked = !describeToggle.checked;
+        describeToggle.dispatchEvent(new Event("change"));
+    },
+    "d": () => announcer.speakNow(),
+    "f": () => flipButton.click(),
+    "-": () => nudgeThreshold(-THRESHOLD_KEY_STEP),
+    "=": () => nudgeThreshold(THRESHOLD_KEY_STEP),
+    "k": () => playPauseButton.click(),
+    ",": () => prevImageButton.click(),
+    ".": () => nextImageButton.click(),
+    "s": () => snapshotButton.click(),
+    "r": () => recordButton.click(),
+    "c": () => clipButton.click(),
+    "z": () => drawZoneButton.click(),
+    "l": () => drawLineButton.click(),
+    "?": () => {
+        shortcutHelp.open = true;
+        shortcutHelp.querySelector("summary").focus();
+    }
+};
+
+document.addEventListener("keydown", (event) => {
+    if (!accessibilitySettings.shortcuts) return;
+    // A held key would take a burst of snapshots or clips
+    if (event.defaultPrevented || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (isTextEntry(event.target)) return;
+    // Keys belong to the zone editor while a zone or line is being drawn
+    if (zoneEditor.isDrawing() || event.target === canvas) return;
+
+    const shortcut = SHORTCUTS[event.key.toLowerCase()];
+    if (!shortcut) return;
+    event.preventDefault();
+    shortcut();
+});
+
+// --- Class Filter ---
+classModeSelect.addEventListener("change", () => {
+    classSettings.mode = classModeSelect.value;
+    applyClassSettings();
+});
+
+classSearch.addEventListener("input", () => {
+    const query = classSearch.value.trim().toLowerCase();
+    for (const item of classList.children) {
+        item.classList.toggle("hidden", !item.dataset.category.includes(query));
+    }
+});
+
+renderClassList();
+
+// --- Alerts ---
+alertEngine.addEventListener("alert", (event) => handleAlert(event.detail));
+
+alertRuleForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const form = new FormData(alertRuleForm);
+    const category = form.get("category").trim() || "*";
+
+    alertEngine.addRule({
+        name: form.get("name").trim() || undefined,
+        category,
+        minScore: parseFloat(form.get("minScore")),
+        minCount: parseInt(form.get("minCount"), 10),
+        zone: form.get("zone"),
+        duration: parseFloat(form.get("duration")) * 1000,
+        cooldown: parseFloat(form.get("cooldown")) * 1000,
+        actions: form.getAll("actions")
+    });
+    alertEngine.save();
+    refreshAlertRuleList();
+});
+
+alertEndpointInput.value = localStorage.getItem("alertEndpoint") || "";
+alertEndpointInput.addEventListener("change", () => {
+    localStorage.setItem("alertEndpoint", alertEndpointInput.value.trim());
+});
+
+refreshAlertRuleList();
+
+// --- Detection Streaming ---
+streamToggle.checked = streamSettings.enabled;
+streamProtocolSelect.value = streamSettings.protocol;
+streamUrlInput.value = streamSettings.url;
+streamTopicInput.value = streamSettings.topic;
+streamBatchSelect.value = String(streamSettings.batchMs);
+
+for (const input of [streamToggle, streamProtocolSelect, streamUrlInput, streamTopicInput, streamBatchSelect]) {
+    input.addEventListener("change", updateStreamSettings);
+}
+
+restartDetectionStream();
+
+// --- Snapshot Gallery ---
+snapshotButton.addEventListener("click", () => {
+    addSnapshot("Manual").catch(error => console.error("Could not save snapshot:", error));
+});
+
+downloadSnapshotsButton.addEventListener("click", async () => {
+    downloadSnapshotsButton.disabled = true;
+    downloadSnapshotsButton.textContent = "Packing...";
+    try {
+        const zip = await snapshotsToZip(await loadSnapshots());
+        downloadBlob(zip, exportFileName("snapshots", "zip"));
+    } catch (error) {
+        console.error("Snapshot export failed:", error);
+    } finally {
+        downloadSnapshotsButton.disabled = false;
+        downloadSnapshotsButton.textContent = "Download All (zip)";
+    }
+});
+
+clearSnapshotsButton.addEventListener("click", async () => {
+    if (!confirm("Delete all snapshots?")) return;
+    await clearSnapshots();
+    refreshSnapshotGallery();
+});
+
+refreshSnapshotGallery();
+
+// --- Playback Controls (video files) ---
+playPauseButton.addEventListener("click", () => {
+    if (!currentSource || currentSource.kind !== "video") return;
+    if (currentSource.isPaused()) {
+        currentSource.play();
+    } else {
+        currentSource.pause();
+    }
+});
+
+seekSlider.addEventListener("input", () => {
+    if (currentSource && currentSource.kind === "video") {
+        currentSource.seek(parseFloat(seekSlider.value));
+    }
+});
+
+video.addEventListener("seeking", () => {
+    // Motion prediction is meaningless across a jump in time
+    if (currentSource && currentSource.kind === "video") {
+        tracker.reset();
+        privacyTracker.reset();
+    }
+});
+
+for (const eventName of ["timeupdate", "play", "pause", "durationchange"]) {
+    video.addEventListener(eventName, () => {
+        if (currentSource && currentSource.kind === "video") {
+            updateSourceControls();
+        }
+    });
+}
+
+// --- Image Controls (image folders) ---
+prevImageButton.addEventListener("click", () => {
+    if (currentSource && currentSource.kind === "images") {
+        currentSource.previous();
+        updateSourceControls();
+    }
+});
+
+nextImageButton.addEventListener("click", () => {
+    if (currentSource && currentSource.kind === "images") {
+        currentSource.next();
+        updateSourceControls();
+    }
+});
+
+// --- Accuracy Evaluation ---
+openDatasetButton.addEventListener("click", () => datasetInput.click());
+
+datasetInput.addEventListener("change", async () => {
+    const files = Array.from(datasetInput.files);
+    datasetInput.value = '';
+    if (files.length === 0) return;
+
+    try {
+        evaluationDataset = await loadDataset(files);
+        const objects = evaluationDataset.images.reduce((sum, image) => sum + image.groundTruth.length, 0);
+        evaluationStatus.textContent = `${evaluationDataset.images.length} images with ${objects} labelled objects (${evaluationDataset.format}).`;
+        runEvaluationButton.disabled = false;
+    } catch (error) {
+        console.error("Could not load the labelled folder:", error);
+        evaluationDataset = undefined;
+        evaluationStatus.textContent = `Could not load the folder: ${error.message}`;
+        runEvaluationButton.disabled = true;
+    }
+});
+
+runEvaluationButton.addEventListener("click", () => {
+    if (isEvaluating) {
+        stopEvaluationRequested = true;
+    } else {
+        evaluateCurrentModel();
+    }
+});
+
+downloadReportButton.addEventListener("click", () => {
+    const report = {
+        model: modelDisplayName(evaluationModelPath),
+        format: evaluationDataset.format,
+        threshold: parseFloat(thresholdSlider.value),
+        ...evaluationScores,
+        errors: evaluationScores.errors.map(({ imageIndex, ...error }) => ({
+            image: evaluationResults[imageIndex].name,
+            ...error
+        }))
+    };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+    downloadBlob(blob, exportFileName("evaluation", "json"));
+});
+
+// Re-score at the new threshold; the detector doesn't need to run again
+thresholdSlider.addEventListener("change", refreshEvaluationReport);
+
+errorKindSelect.addEventListener("change", () => {
+    errorIndex = 0;
+    showEvaluationError();
+});
+
+prevErrorButton.addEventListener("click", () => {
+    errorIndex--;
+    showEvaluationError();
+});
+
+nextErrorButton.addEventListener("click", () => {
+    errorIndex++;
+    showEvaluationError();
+});
+
+/**
+ * Starts the detection loop, unless it is already running.
+ */
+function startDetectionLoop() {
+    if (isLoopRunning) return;
+    isLoopRunning = true;
+    window.requestAnimationFrame(predictFrame);
+}
+
+/**
+ * The main detection loop.
+ * Runs on whatever the current input source is, and only detects when the
+ * source has a new frame (a paused video or a still image is detected once).
+ */
+async function predictFrame() {
+    const source = currentSource;
+    if (!source || !source.isReady()) {
+      window.requestAnimationFrame(predictFrame);
+      return;
+    }
+
+    if (source.kind === "grid") {
+        predictGridFrame(source);
+        window.requestAnimationFrame(predictFrame);
+        return;
+    }
+    
+    // Only resize when needed: assigning width/height also clears the canvas
+    const { width, height } = source.getSize();
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    // In privacy mode the input is only ever seen through this canvas
+    if (privacySettings.enabled) {
+        renderAnonymized(privacyCanvas, source.element, width, height, privacyRegions || [], {
+            effect: privacySettings.effect,
+            hideAll: !privacyRegions
+        });
+    }
+
+    const frameKey = source.getFrameKey();
+    const detectorReady = objectDetector && detectorRunningMode === source.runningMode;
+    const now = performance.now();
+
+    // Count every new frame the source produces, detected or not
+    if (frameKey !== lastCapturedKey) {
+        if (lastCapturedKey !== undefined && lastCapturedKey !== lastFrameKey) {
+            perfMonitor.frameDropped(now); // Replaced before it could be detected
+        }
+        lastCapturedKey = frameKey;
+        perfMonitor.frameCaptured(now);
+        framesSinceDetect++;
+    }
+
+    // The governor may ask for a smaller input, or to detect every Nth frame.
+    // Still images and paused videos are always detected.
+    const quality = qualityGovernor ? qualityGovernor.getSettings() : FULL_QUALITY;
+    const isStill = source.runningMode === "IMAGE" || (source.kind === "video" && source.isPaused());
+    const skipFrame = !isStill && framesSinceDetect < quality.skip;
+
+    if (detectorReady && frameKey !== lastFrameKey && !skipFrame) {
+        // --- FIX ---
+        // Changed Date.Now() to Date.now() (lowercase 'n')
+        const timestamp = Date.now();
+
+        if (objectDetector.isWorker) {
+            // Asynchronous: results come back in handleWorkerDetections().
+            // While the worker is busy, new frames are skipped, not queued.
+            if (!objectDetector.isBusy()) {
+                lastFrameKey = frameKey;
+                framesSinceDetect = 0;
+                const frame = describeFrame(source, timestamp, quality.scale);
+                objectDetector.submit(getDetectionInput(source, quality.scale), timestamp, source.runningMode, frame)
+                    .catch(error => console.error("Could not send frame to worker:", error));
+            }
+        } else {
+            lastFrameKey = frameKey;
+            framesSinceDetect = 0;
+            const input = getDetectionInput(source, quality.scale);
+            const start = performance.now();
+            let results;
+            try {
+                results = source.runningMode === "IMAGE"
+                    ? objectDetector.detect(input)
+                    : objectDetector.detectForVideo(input, timestamp);
+            } catch (error) {
+                console.error("Detection failed:", error);
+                handleGpuFailure(error);
+            }
+            if (results) {
+                perfMonitor.frameDetected(performance.now(), performance.now() - start);
+                processDetections(results.detections, describeFrame(source, timestamp, quality.scale));
+            }
+        }
+    }
+
+    updateQualityGovernor(now);
+
+    // Boxes gliding or fading between detections
+    if (smoother && smoother.isAnimating(performance.now())) {
+        renderOverlay();
+    }
+
+    // Keep the loop going
+    window.requestAnimationFrame(predictFrame);
+}
+
+/**
+ * One step of the detection loop in grid mode: the next camera in turn gets
+ * the detector (see grid.js).
+ * @param {object} grid - From openCameraGrid().
+ */
+function predictGridFrame(grid) {
+    grid.render();
+
+    if (!objectDetector || detectorRunningMode !== grid.runningMode) return;
+    if (objectDetector.isWorker && objectDetector.isBusy()) return;
+
+    const feed = grid.nextFeed();
+    if (!feed) return;
+
+    const timestamp = Date.now();
+    const frame = {
+        source: grid,
+        feed,
+        sourceName: feed.label,
+        timestamp,
+        width: feed.video.videoWidth,
+        height: feed.video.videoHeight,
+        scale: 1
+    };
+    perfMonitor.frameCaptured(performance.now());
+
+    if (objectDetector.isWorker) {
+        objectDetector.submit(feed.video, timestamp, grid.runningMode, frame)
+            .catch(error => console.error("Could not send frame to worker:", error));
+        return;
+    }
+
+    const start = performance.now();
+    let results;
+    try {
+        results = objectDetector.detectForVideo(feed.video, timestamp);
+    } catch (error) {
+        console.error("Detection failed:", error);
+        handleGpuFailure(error);
+    }
+    if (results) {
+        perfMonitor.frameDetected(performance.now(), performance.now() - start);
+        processDetections(results.detections, frame);
+    }
+}
+
+/**
+ * Everything we need to know about a frame after its detections come back
+ * (which, with the worker, is after the video has moved on).
+ * @param {object} source - The current input source.
+ * @param {number} timestamp - Detection timestamp in ms.
+ * @param {number} [scale=1] - How much the frame was downscaled for detection.
+ */
+function describeFrame(source, timestamp, scale = 1) {
+    const { width, height } = source.getSize();
+
+    return {
+        source,
+        sourceName: describeSource(source),
+        timestamp,
+        width,
+        height,
+        scale,
+        mediaTime: source.kind === "video" ? source.getCurrentTime() : undefined,
+        // Grab the pixels now, so a captured image matches its detections
+        image: (isRecording && recordingSession.shouldCapture())
+            ? captureFrame(outputElement(source), width, height)
+            : undefined
+    };
+}
+
+/**
+ * A name for what is on screen: "camera", the video's file name, or the
+ * current image's file name.
+ */
+function describeSource(source) {
+    if (source.kind === "video") return source.name;
+    if (source.kind === "images") return source.getName();
+    return source.kind;
+}
+
+/**
+ * Runs one frame's detections through filtering, tracking, zones, drawing,
+ * alerts, recording and streaming.
+ * @param {Array<object>} rawDetections - `results.detections` from MediaPipe.
+ * @param {object} frame - From describeFrame().
+ */
+function processDetections(rawDetections, frame) {
+    if (frame.feed) {
+        processFeedDetections(rawDetections, frame);
+        return;
+    }
+
+    const { timestamp, width, height } = frame;
+
+    // Boxes found on a downscaled frame go back to full-size coordinates
+    const fullSize = frame.scale === 1 ? rawDetections : scaleDetections(rawDetections, 1 / frame.scale);
+
+    // Apply per-class thresholds (the allow/deny list is applied by MediaPipe).
+    // With smoothing, scores a little below them go on to the smoother's hysteresis.
+    const threshold = parseFloat(thresholdSlider.value);
+    let detections = filterDetections(fullSize, classSettings, threshold, smoother ? smoother.settings.hysteresis : 0);
+
+    // Match this frame's detections to the objects we already know about
+    let tracks = tracker.update(detections, timestamp);
+    let liveTracks = tracker.getTracks();
+
+    // From here on, only what the smoother shows counts
+    if (smoother) {
+        tracks = smoother.update(tracks, liveTracks, category => classThreshold(classSettings, category, threshold), performance.now());
+        detections = tracks.map(track => track.detection);
+        liveTracks = liveTracks.filter(track => smoother.isVisible(track.id));
+    }
+
+    // Zones count every live track, including ones coasting through a missed frame
+    zoneManager.update(liveTracks, timestamp, width, height);
+
+    if (privacySettings.enabled) {
+        privacyTracker.update(privacyDetections(fullSize, privacySettings), timestamp);
+        privacyRegions = privacyBoxes(fullSize, privacyTracker.getTracks(), privacySettings);
+    }
+
+    lastTracks = tracks;
+    renderOverlay();
+    updateZoneStats();
+
+    if (accessibilitySettings.enabled) {
+        announcer.update(describeScene(liveTracks, width, isFlipped), performance.now());
+    }
+
+    alertEngine.evaluate(detections, {
+        timestamp,
+        width,
+        height,
+        zones: zoneManager.getZones()
+    });
+
+    if (isRecording) {
+        recordFrame(frame, tracks);
+    }
+    if (clipRecorder) {
+        clipRecorder.addDetections(frame, tracks);
+    }
+    publishDetections(frame, tracks);
+}
+
+/**
+ * processDetections() for one camera of the grid: filtering, and that
+ * camera's own tracking, overlay and counts. Zones, alerts and recording
+ * only apply to single inputs.
+ */
+function processFeedDetections(rawDetections, frame) {
+    const detections = filterDetections(rawDetections, classSettings, parseFloat(thresholdSlider.value));
+    const tracks = frame.source.update(frame.feed, detections, frame.timestamp, rawDetections);
+    publishDetections(frame, tracks);
+
+    if (accessibilitySettings.enabled) {
+        announcer.update(describeGrid(frame.source), performance.now());
+    }
+}
+
+/**
+ * Every camera's scene, e.g. "Camera 1: 2 people on the left. Camera 2: Nothing detected".
+ * @param {object} grid - From openCameraGrid().
+ */
+function describeGrid(grid) {
+    return grid.feeds
+        .map(feed => `${feed.label}: ${describeScene(feed.tracker.getTracks(), feed.video.videoWidth, isFlipped)}`)
+        .join(". ");
+}
+
+/**
+ * Sends a frame's tracked detections to the stream, if streaming is on.
+ */
+function publishDetections(frame, tracks) {
+    if (!detectionStream) return;
+    detectionStream.publish(toStreamFrame({
+        timestamp: frame.timestamp,
+        source: frame.sourceName,
+        width: frame.width,
+        height: frame.height,
+        detections: tracks.map(track => toRecordedDetection(track.detection, track.id))
+    }));
+}
+
+/**
+ * Results from the inference worker.
+ */
+function handleWorkerDetections(event) {
+    const { detections, inferenceMs, context: frame } = event.detail;
+    perfMonitor.frameDetected(performance.now(), inferenceMs);
+    // The source changed while this frame was in flight
+    if (!frame || frame.source !== currentSource) return;
+    processDetections(detections, frame);
+}
+
+/**
+ * Redraws the whole overlay: zones first, then the latest detections on top.
+ * Called after each detection, and whenever zones change, so editing works
+ * on a paused video or still image too.
+ * @returns {Array<{id: number, detection: object, opacity: number}>} - The boxes drawn.
+ */
+function renderOverlay() {
+    canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
+
+    zoneManager.draw(canvasCtx, isFlipped, zoneEditor.getDraft());
+
+    // The smoother draws its own steadied (and maybe animated) boxes
+    const items = smoother
+        ? smoother.display(performance.now())
+        : lastTracks.map(track => ({ id: track.id, detection: track.detection, opacity: 1 }));
+    for (const item of items) {
+        drawDetection(canvasCtx, item.detection, {
+            isFlipped,
+            color: classColor(classSettings, item.detection.categories[0].categoryName),
+            trackId: item.id,
+            opacity: item.opacity
+        });
+    }
+
+    if (hudToggle.checked) {
+        drawPerfHud(canvasCtx, describePerformance());
+    }
+    return items;
+}
+
+/**
+ * The frame to hand to the detector: the source element itself, or a
+ * downscaled copy when the governor asks for one.
+ * @param {object} source - The current input source.
+ * @param {number} scale - 1 for full size.
+ */
+function getDetectionInput(source, scale) {
+    if (scale >= 1) return source.element;
+
+    const { width, height } = source.getSize();
+    const scaledWidth = Math.round(width * scale);
+    const scaledHeight = Math.round(height * scale);
+    if (!scaledInputCanvas) {
+        scaledInputCanvas = document.createElement("canvas");
+    }
+    if (scaledInputCanvas.width !== scaledWidth || scaledInputCanvas.height !== scaledHeight) {
+        scaledInputCanvas.width = scaledWidth;
+        scaledInputCanvas.height = scaledHeight;
+    }
+    scaledInputCanvas.getContext("2d").drawImage(source.element, 0, 0, scaledWidth, scaledHeight);
+    return scaledInputCanvas;
+}
+
+/**
+ * Lets the governor react to the measured frame rate.
+ * On the main thread a slow model stalls the whole page, so it holds the
+ * rate at which frames are seen; with the worker the page stays smooth and
+ * it is the detection rate that drops.
+ * @param {number} now - performance.now()
+ */
+function updateQualityGovernor(now) {
+    if (!qualityGovernor || !objectDetector || !currentSource) return;
+    if (currentSource.runningMode !== "VIDEO") return;
+
+    const stats = perfMonitor.getStats(now);
+    if (!stats.windowFull) return;
+
+    qualityGovernor.mainThread = !objectDetector.isWorker;
+    const fps = objectDetector.isWorker ? stats.detectionFps : stats.captureFps;
+    if (qualityGovernor.evaluate(fps, now)) {
+        applyQualitySettings();
+    }
+}
+
+/**
+ * Swaps the model for a faster one when the governor asks for it, and
+ * back again when it no longer does (or is turned off).
+ */
+function applyQualitySettings() {
+    const { fastModel } = qualityGovernor ? qualityGovernor.getSettings() : FULL_QUALITY;
+
+    if (fastModel && !governorModelPath && FASTER_MODELS[modelSelect.value]) {
+        governorModelPath = modelSelect.value;
+        modelSelect.value = FASTER_MODELS[governorModelPath];
+        createOrUpdateDetector();
+    } else if (!fastModel && governorModelPath) {
+        modelSelect.value = governorModelPath;
+        governorModelPath = undefined;
+        createOrUpdateDetector();
+    }
+}
+
+/**
+ * The lines of the performance overlay.
+ * @returns {string[]}
+ */
+function describePerformance() {
+    const stats = perfMonitor.getStats();
+    const thread = objectDetector && objectDetector.isWorker ? "worker" : "main thread";
+    const lines = [
+        `Capture ${stats.captureFps.toFixed(1)} fps  Detect ${stats.detectionFps.toFixed(1)} fps`,
+        `Inference p50 ${Math.round(stats.p50)} ms  p95 ${Math.round(stats.p95)} ms`,
+        `Dropped ${stats.dropped} (${Math.round(stats.droppedPercent)}% recently)`,
+        `Delegate ${activeDelegate ? delegateValue.textContent : "-"} (${thread})`,
+        `Model ${modelDisplayName(loadedModelPath)}`
+    ];
+    if (qualityGovernor) {
+        lines.push(`Adaptive ${qualityGovernor.targetFps} fps: ${qualityGovernor.getSettings().label}`);
+    }
+    return lines;
+}
+
+/**
+ * A short name for a model path: the file name, or a custom model's name.
+ */
+function modelDisplayName(path) {
+    if (!path) return "-";
+    const option = Array.from(modelSelect.options).find(option => option.value === path);
+    if (path.startsWith(CUSTOM_MODEL_PREFIX) && option) return option.textContent;
+    return path.split("/").pop();
+}
+
+/**
+ * Rebuilds the zone list under the controls (on add/remove/load).
+ */
+function refreshZoneList() {
+    const zones = zoneManager.getZones();
+    zoneStatsContainer.classList.toggle("hidden", zones.length === 0);
+    zoneStatsList.innerHTML = '';
+
+    for (const zone of zones) {
+        const item = document.createElement("li");
+        item.dataset.zoneId = zone.id;
+
+        const name = document.createElement("strong");
+        name.textContent = zone.name;
+
+        const summary = document.createElement("span");
+        summary.className = "zoneSummary";
+        summary.textContent = describeZoneStats(zone);
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "button compactButton";
+        deleteButton.textContent = "Delete";
+        deleteButton.addEventListener("click", () => zoneManager.removeZone(zone.id));
+
+        item.append(name, summary, deleteButton);
+        zoneStatsList.appendChild(item);
+    }
+}
+
+/**
+ * Updates just the statistics text of each zone (every frame).
+ */
+function updateZoneStats() {
+    for (const zone of zoneManager.getZones()) {
+        const summary = zoneStatsList.querySelector(`[data-zone-id="${zone.id}"] .zoneSummary`);
+        if (summary) {
+            summary.textContent = describeZoneStats(zone);
+        }
+    }
+}
+
+/**
+ * Builds the per-class rows of the class picker.
+ * Each row has: listed (checkbox), name, threshold override and colour.
+ */
+function renderClassList() {
+    classModeSelect.value = classSettings.mode;
+    classList.innerHTML = '';
+    const globalPercent = Math.round(parseFloat(thresholdSlider.value) * 100);
+
+    for (const name of availableClasses) {
+        const item = document.createElement("li");
+        item.dataset.category = name;
+
+        const listed = document.createElement("input");
+        listed.type = "checkbox";
+        listed.checked = classSettings.categories.includes(name);
+        listed.id = `class-${name.replace(/\s+/g, "-")}`;
+        listed.addEventListener("change", () => {
+            classSettings.categories = listed.checked
+                ? [...classSettings.categories, name]
+                : classSettings.categories.filter(category => category !== name);
+            applyClassSettings();
+        });
+
+        const label = document.createElement("label");
+        label.htmlFor = listed.id;
+        label.textContent = name;
+
+        const threshold = document.createElement("input");
+        threshold.type = "number";
+        threshold.min = "0";
+        threshold.max = "100";
+        threshold.step = "1";
+        threshold.placeholder = `${globalPercent}%`;
+        threshold.title = "Confidence threshold for this class (blank = global)";
+        if (classSettings.thresholds[name] !== undefined) {
+            threshold.value = Math.round(classSettings.thresholds[name] * 100);
+        }
+        threshold.addEventListener("change", () => {
+            if (threshold.value === "") {
+                delete classSettings.thresholds[name];
+            } else {
+                classSettings.thresholds[name] = Math.min(Math.max(parseFloat(threshold.value) / 100, 0), 1);
+            }
+            applyClassSettings();
+        });
+
+        const color = document.createElement("input");
+        color.type = "color";
+        color.value = classColor(classSettings, name);
+        color.title = "Box colour for this class";
+        color.addEventListener("input", () => {
+            classSettings.colors[name] = color.value;
+            saveClassSettings(classSettings);
+            renderOverlay();
+        });
+
+        item.append(listed, label, threshold, color);
+        classList.appendChild(item);
+    }
+
+    // The alert rule form suggests the same class names
+    categoryOptions.innerHTML = '';
+    for (const name of availableClasses) {
+        const option = document.createElement("option");
+        option.value = name;
+        categoryOptions.appendChild(option);
+    }
+}
+
+/**
+ * The category allow/deny list and score threshold for the detector: the
+ * class settings, widened in privacy mode so hidden categories are still found,
+ * and lowered by the smoothing hysteresis so objects can stay shown below it.
+ * @param {number} threshold - The threshold slider value.
+ */
+function detectorCategoryOptions(threshold) {
+    const options = withPrivacyCategories(toDetectorOptions(classSettings, threshold), privacySettings);
+    if (smoother) {
+        options.scoreThreshold = Math.max(0, options.scoreThreshold - smoother.settings.hysteresis);
+    }
+    return options;
+}
+
+/**
+ * Reads the privacy controls, saves them and makes sure the detector finds
+ * the categories to hide.
+ */
+async function updatePrivacySettings() {
+    const categories = privacyCategoriesInput.value.split(",").map(item => item.trim()).filter(Boolean);
+    privacySettings = {
+        enabled: privacyToggle.checked,
+        effect: privacyEffectSelect.value,
+        categories: categories.length ? categories : ["person"]
+    };
+    savePrivacySettings(privacySettings);
+    privacyCategoriesInput.value = privacySettings.categories.join(", ");
+
+    // Hide everything until a detection with the new settings comes back
+    privacyTracker.reset();
+    privacyRegions = null;
+    liveView.classList.toggle("privacy", privacySettings.enabled);
+    await updateDetectorOptions(detectorCategoryOptions(parseFloat(thresholdSlider.value)));
+}
+
+/**
+ * Reads the smoothing controls and saves them.
+ */
+function readSmoothingControls() {
+    smoothingSettings = {
+        enabled: smoothingToggle.checked,
+        method: smoothingMethodSelect.value,
+        strength: parseFloat(smoothingSlider.value),
+        hysteresis: parseFloat(hysteresisSelect.value),
+        labelWindow: parseInt(labelWindowSelect.value, 10),
+        animate: animateToggle.checked
+    };
+    saveSmoothingSettings(smoothingSettings);
+}
+
+/**
+ * Starts, stops or updates the smoother to match smoothingSettings.
+ */
+function applySmoothingSettings() {
+    if (!smoothingSettings.enabled) {
+        smoother = undefined;
+    } else if (smoother) {
+        smoother.settings = { ...smoothingSettings };
+    } else {
+        smoother = createSmoother(smoothingSettings);
+    }
+    // Label votes need tracks that survive a change of label
+    tracker.options.matchAcrossCategories = Boolean(smoother) && smoothingSettings.labelWindow > 1;
+
+    for (const control of [smoothingMethodSelect, smoothingSlider, animateToggle, hysteresisSelect, labelWindowSelect]) {
+        control.disabled = !smoothingSettings.enabled;
+    }
+}
+
+/**
+ * Where pixels leave the app from (snapshots, clips, recorded frames): the
+ * anonymised canvas in privacy mode, otherwise the source's own element.
+ * Undefined for the camera grid, which has no single picture.
+ */
+function outputElement(source) {
+    if (!source.element) return undefined;
+    return privacySettings.enabled ? privacyCanvas : source.element;
+}
+
+/**
+ * Shows or hides the scene description and hands the settings to the announcer.
+ */
+function applyAccessibilitySettings() {
+    announcer.settings = { ...accessibilitySettings };
+    sceneSummary.classList.toggle("hidden", !accessibilitySettings.enabled);
+    speechIntervalSelect.disabled = !accessibilitySettings.speak;
+    speechRateSelect.disabled = !accessibilitySettings.speak;
+    if (!accessibilitySettings.enabled) announcer.reset();
+
+    // Don't advertise shortcuts that are turned off
+    for (const [element, keys] of shortcutElements) {
+        if (accessibilitySettings.shortcuts) element.setAttribute("aria-keyshortcuts", keys);
+        else element.removeAttribute("aria-keyshortcuts");
+    }
+}
+
+/**
+ * Moves the confidence threshold slider, as if it had been dragged.
+ * @param {number} delta - E.g. -0.05.
+ */
+function nudgeThreshold(delta) {
+    const value = Math.min(Math.max(parseFloat(thresholdSlider.value) + delta, 0), 1);
+    thresholdSlider.value = value.toFixed(2);
+    thresholdSlider.dispatchEvent(new Event("input"));
+    thresholdSlider.dispatchEvent(new Event("change"));
+}
+
+/**
+ * True for elements that take typed text, where shortcuts must not fire.
+ */
+function isTextEntry(element) {
+    if (element.isContentEditable) return true;
+    if (element.tagName === "TEXTAREA" || element.tagName === "SELECT") return true;
+    if (element.tagName !== "INPUT") return false;
+    return !["checkbox", "radio", "range", "button", "color", "file"].includes(element.type);
+}
+
+/**
+ * Saves the class settings and pushes the allow/deny list to the detector.
+ */
+async function applyClassSettings() {
+    saveClassSettings(classSettings);
+    refreshEvaluationReport(); // Per-class thresholds change what counts
+    await updateDetectorOptions(detectorCategoryOptions(parseFloat(thresholdSlider.value)));
+}
+
+/**
+ * Rebuilds the list of alert rules.
+ */
+function refreshAlertRuleList() {
+    alertRuleList.innerHTML = '';
+
+    for (const rule of alertEngine.getRules()) {
+        const item = document.createElement("li");
+
+        const enabled = document.createElement("input");
+        enabled.type = "checkbox";
+        enabled.checked = rule.enabled;
+        enabled.title = "Enabled";
+        enabled.addEventListener("change", () => {
+            alertEngine.setEnabled(rule.id, enabled.checked);
+            alertEngine.save();
+        });
+
+        const description = document.createElement("span");
+        description.className = "ruleSummary";
+        description.textContent = `${describeRule(rule)} → ${rule.actions.join(", ") || "no actions"}`;
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "button compactButton";
+        deleteButton.textContent = "Delete";
+        deleteButton.addEventListener("click", () => {
+            alertEngine.removeRule(rule.id);
+            alertEngine.save();
+            refreshAlertRuleList();
+        });
+
+        item.append(enabled, description, deleteButton);
+        alertRuleList.appendChild(item);
+    }
+}
+
+/**
+ * Keeps the rule form's zone dropdown in sync with the zones.
+ */
+function refreshRuleZoneOptions() {
+    const selected = ruleZoneSelect.value;
+    ruleZoneSelect.innerHTML = '<option value="">Anywhere</option>';
+    for (const zone of zoneManager.getZones()) {
+        if (zone.type !== "polygon") continue;
+        const option = document.createElement("option");
+        option.value = zone.name;
+        option.textContent = zone.name;
+        ruleZoneSelect.appendChild(option);
+    }
+    ruleZoneSelect.value = selected;
+    if (ruleZoneSelect.value !== selected) ruleZoneSelect.value = "";
+}
+
+/**
+ * Runs the actions of a rule that just fired.
+ * @param {object} alert - The "alert" event detail from the alert engine.
+ */
+function handleAlert(alert) {
+    const actions = alert.rule.actions;
+
+    if (actions.includes("banner")) {
+        showBanner(alertBanner, alert.message);
+    }
+    if (actions.includes("sound")) {
+        playAlertTone();
+    }
+    if (actions.includes("snapshot")) {
+        addSnapshot(alert.message)
+            .catch(error => console.error("Could not save alert snapshot:", error));
+    }
+    if (actions.includes("clip") && clipRecorder && !clipRecorder.isRecording()) {
+        startClip(ALERT_CLIP_MS);
+    }
+    if (actions.includes("webhook") && alertEndpointInput.value) {
+        sendToEndpoint(alertEndpointInput.value, toAlertPayload(alert))
+            .catch(error => console.error("Could not send alert:", error));
+    }
+}
+
+/**
+ * Freezes the current frame (with overlay and per-object crops) into the
+ * snapshot gallery.
+ * @param {string} reason - "Manual", or the message of the alert that took it.
+ */
+async function addSnapshot(reason) {
+    // Not in grid mode, which has no single picture
+    if (!currentSource || !currentSource.element || !currentSource.isReady()) return;
+
+    const { width, height } = currentSource.getSize();
+    // Drawn now, so the crops are cut from the very boxes the overlay shows
+    const shown = renderOverlay().filter(item => item.opacity > 0);
+    const snapshot = await takeSnapshot({
+        element: outputElement(currentSource),
+        overlay: canvas,
+        isFlipped,
+        width,
+        height,
+        tracks: shown,
+        reason,
+        source: describeSource(currentSource)
+    });
+    await saveSnapshot(snapshot);
+    refreshSnapshotGallery();
+}
+
+// Object URLs for the gallery images, revoked when it is rebuilt
+let galleryUrls = [];
+
+/**
+ * Rebuilds the snapshot gallery from IndexedDB.
+ */
+async function refreshSnapshotGallery() {
+    let snapshots;
+    try {
+        snapshots = await loadSnapshots();
+    } catch (error) {
+        console.error("Could not load snapshots:", error);
+        return;
+    }
+
+    galleryUrls.forEach(url => URL.revokeObjectURL(url));
+    galleryUrls = [];
+    const toUrl = (blob) => {
+        const url = URL.createObjectURL(blob);
+        galleryUrls.push(url);
+        return url;
+    };
+
+    snapshotGallery.innerHTML = '';
+    downloadSnapshotsButton.disabled = snapshots.length === 0;
+    clearSnapshotsButton.disabled = snapshots.length === 0;
+
+    for (const snapshot of snapshots) {
+        const item = document.createElement("li");
+        const createdAt = new Date(snapshot.createdAt);
+        const detections = snapshot.detections || [];
+
+        const frame = document.createElement("img");
+        frame.className = "snapshotFrame";
+        frame.src = toUrl(snapshot.image);
+        frame.alt = `Snapshot from ${createdAt.toLocaleString()}`;
+
+        const meta = document.createElement("div");
+        meta.className = "snapshotMeta";
+        meta.textContent = `${createdAt.toLocaleString()} · ${snapshot.reason}`;
+
+        // Each crop links to its own download
+        const crops = document.createElement("div");
+        crops.className = "snapshotCrops";
+        detections.forEach((detection, i) => {
+            if (!detection.crop) return;
+            const link = document.createElement("a");
+            link.href = toUrl(detection.crop);
+            link.download = `snapshot-${snapshot.id}-${cropFileName(detection, i)}`;
+            link.title = "Download this crop";
+
+            const crop = document.createElement("img");
+            crop.src = link.href;
+            crop.alt = detection.category;
+
+            const label = document.createElement("span");
+            const idPrefix = detection.trackId !== null ? `#${detection.trackId} ` : "";
+            label.textContent = `${idPrefix}${detection.category} ${Math.round(detection.score * 100)}%`;
+
+            link.append(crop, label);
+            crops.appendChild(link);
+        });
+
+        const buttons = document.createElement("div");
+        buttons.className = "snapshotButtons";
+
+        const downloadButton = document.createElement("button");
+        downloadButton.className = "button compactButton";
+        downloadButton.textContent = "Download";
+        downloadButton.title = "Frame, crops and details as a zip";
+        downloadButton.addEventListener("click", async () => {
+            const zip = await snapshotsToZip([snapshot]);
+            downloadBlob(zip, exportFileName(`snapshot-${snapshot.id}`, "zip", createdAt));
+        });
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "button compactButton";
+        deleteButton.textContent = "Delete";
+        deleteButton.addEventListener("click", async () => {
+            await deleteSnapshot(snapshot.id);
+            refreshSnapshotGallery();
+        });
+
+        buttons.append(downloadButton, deleteButton);
+        item.append(frame, meta, crops, buttons);
+        snapshotGallery.appendChild(item);
+    }
+}
+
+/**
+ * Runs the loaded model over the labelled folder and shows the report.
+ * Uses its own detector in IMAGE mode with a very low threshold, so the live
+ * view keeps running and any threshold can be scored afterwards.
+ */
+async function evaluateCurrentModel() {
+    if (!evaluationDataset) return;
+    if (!loadedModelPath || !modelCache.has(loadedModelPath)) {
+        evaluationStatus.textContent = "Wait for the model to finish loading.";
+        return;
+    }
+
+    isEvaluating = true;
+    stopEvaluationRequested = false;
+    runEvaluationButton.textContent = "Stop";
+    openDatasetButton.disabled = true;
+    evaluationStatus.textContent = "Loading the model...";
+
+    const modelPath = loadedModelPath;
+    let detector;
+    try {
+        detector = await createEvaluationDetector(modelCache.get(modelPath));
+        const results = await runEvaluation(evaluationDataset.images, detector, {
+            onProgress: (done, total) => {
+                evaluationStatus.textContent = `Evaluating ${modelDisplayName(modelPath)}: ${done} / ${total} images...`;
+            },
+            shouldStop: () => stopEvaluationRequested
+        });
+
+        if (results.length === 0) {
+            evaluationStatus.textContent = "Stopped before any image was evaluated.";
+            return;
+        }
+        evaluationResults = results;
+        evaluationModelPath = modelPath;
+        errorIndex = 0;
+        const stopped = results.length < evaluationDataset.images.length;
+        evaluationStatus.textContent = stopped
+            ? `Stopped: results for the first ${results.length} of ${evaluationDataset.images.length} images.`
+            : `Evaluated ${results.length} images.`;
+        refreshEvaluationReport();
+    } catch (error) {
+        console.error("Evaluation failed:", error);
+        evaluationStatus.textContent = `Evaluation failed: ${error.message}`;
+    } finally {
+        if (detector) detector.close();
+        isEvaluating = false;
+        runEvaluationButton.textContent = "Evaluate Model";
+        openDatasetButton.disabled = false;
+    }
+}
+
+/**
+ * A main-thread ObjectDetector for evaluation, on the delegate the live
+ * detector ended up with.
+ * @param {Uint8Array} modelBuffer - The .tflite model.
+ */
+async function createEvaluationDetector(modelBuffer) {
+    const { ObjectDetector, vision } = await loadMediaPipe();
+    for (const delegate of activeDelegate === "GPU" ? ["GPU", "CPU"] : ["CPU"]) {
+        try {
+            return await ObjectDetector.createFromOptions(vision, {
+                baseOptions: { modelAssetBuffer: modelBuffer, delegate },
+                runningMode: "IMAGE",
+                maxResults: EVALUATION_MAX_RESULTS,
+                scoreThreshold: EVALUATION_SCORE_THRESHOLD,
+                canvas: createGpuCanvas()
+            });
+        } catch (error) {
+            if (delegate === "CPU") throw error;
+            console.warn("GPU delegate failed for evaluation, falling back to the CPU:", error);
+        }
+    }
+}
+
+/**
+ * Scores the evaluation results at the current thresholds (global and
+ * per class) and rebuilds the report.
+ */
+function refreshEvaluationReport() {
+    if (!evaluationResults) return;
+
+    const threshold = parseFloat(thresholdSlider.value);
+    evaluationScores = evaluate(evaluationResults, category => classThreshold(classSettings, category, threshold));
+    const { classes, confusion } = evaluationScores;
+
+    const totals = classes.reduce((sum, entry) => ({
+        tp: sum.tp + entry.tp,
+        fp: sum.fp + entry.fp,
+        fn: sum.fn + entry.fn
+    }), { tp: 0, fp: 0, fn: 0 });
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    evaluationSummary.textContent = [
+        `${modelDisplayName(evaluationModelPath)} on ${evaluationScores.images} images`,
+        `mAP@0.5 ${percent(evaluationScores.map50)}`,
+        `mAP@0.5:0.95 ${percent(evaluationScores.map5095)}`,
+        `At ${Math.round(threshold * 100)}%: precision ${percent(totals.tp / (totals.tp + totals.fp || 1))}, ` +
+            `recall ${percent(totals.tp / (totals.tp + totals.fn || 1))}`
+    ].join(" · ");
+
+    // --- Per class ---
+    // The first cell of every row is its heading
+    const row = (cells, tag = "td") => {
+        const tr = document.createElement("tr");
+        for (const [i, cell] of cells.entries()) {
+            const element = document.createElement(i === 0 ? "th" : tag);
+            element.textContent = cell;
+            tr.appendChild(element);
+        }
+        return tr;
+    };
+    const classHead = document.createElement("thead");
+    classHead.appendChild(row(["Class", "Objects", "TP", "FP", "FN", "Precision", "Recall", "AP@0.5", "AP@0.5:0.95"], "th"));
+    const classBody = document.createElement("tbody");
+    for (const entry of classes) {
+        classBody.appendChild(row([entry.category, entry.groundTruth, entry.tp, entry.fp, entry.fn,
+            percent(entry.precision), percent(entry.recall), percent(entry.ap50), percent(entry.ap5095)]));
+    }
+    classMetricsTable.replaceChildren(classHead, classBody);
+
+    // --- Confusion matrix ---
+    const name = label => label === BACKGROUND ? "(none)" : label;
+    const matrixHead = document.createElement("thead");
+    matrixHead.appendChild(row(["", ...confusion.labels.map(name)], "th"));
+    const matrixBody = document.createElement("tbody");
+    confusion.matrix.forEach((counts, i) => {
+        const tr = row([name(confusion.labels[i]), ...counts.map(count => count || "")]);
+        counts.forEach((count, j) => {
+            if (count) tr.children[j + 1].className = i === j ? "hit" : "miss";
+        });
+        matrixBody.appendChild(tr);
+    });
+    confusionTable.replaceChildren(matrixHead, matrixBody);
+
+    evaluationReport.classList.remove("hidden");
+    downloadReportButton.disabled = false;
+    showEvaluationError();
+}
+
+/**
+ * Draws the current error in the error browser: the image with its ground
+ * truth (dashed green) and the detection or missed object in red.
+ */
+async function showEvaluationError() {
+    if (!evaluationScores) return;
+
+    const kind = errorKindSelect.value;
+    const errors = evaluationScores.errors.filter(error => kind === "all" || error.kind === kind);
+    errorIndex = Math.min(Math.max(errorIndex, 0), Math.max(errors.length - 1, 0));
+    errorIndexValue.textContent = `${errors.length ? errorIndex + 1 : 0} / ${errors.length}`;
+    prevErrorButton.disabled = errorIndex <= 0;
+    nextErrorButton.disabled = errorIndex >= errors.length - 1;
+
+    const error = errors[errorIndex];
+    if (!error) {
+        errorCaption.textContent = "No errors of this kind.";
+        errorCanvas.width = errorCanvas.height = 0;
+        return;
+    }
+
+    const result = evaluationResults[error.imageIndex];
+    const descriptions = {
+        fp: `False positive: ${error.category} (${Math.round(error.score * 100)}%) where nothing is labelled`,
+        fn: `Missed: ${error.category}`,
+        mislabel: `Wrong label: ${error.category} detected as ${error.predicted} (${Math.round(error.score * 100)}%)`
+    };
+    errorCaption.textContent = `${descriptions[error.kind]} · ${result.name}`;
+
+    const bitmap = await createImageBitmap(result.file);
+    errorCanvas.width = bitmap.width;
+    errorCanvas.height = bitmap.height;
+    const ctx = errorCanvas.getContext("2d");
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    for (const object of result.groundTruth) {
+        const isError = object.box === error.box || object.box === error.groundTruthBox;
+        drawDetection(ctx, { boundingBox: object.box, categories: [{ categoryName: object.category, score: 1 }] }, {
+            isFlipped: false,
+            color: GROUND_TRUTH_COLOR,
+            label: object.category,
+            dashed: true,
+            opacity: isError ? 1 : 0.5
+        });
+    }
+    const errorDetection = { boundingBox: error.box, categories: [{ categoryName: error.predicted || error.category, score: error.score ?? 1 }] };
+    drawDetection(ctx, errorDetection, {
+        isFlipped: false,
+        color: ERROR_COLOR,
+        label: error.kind === "fn" ? `missed ${error.category}` : undefined,
+        dashed: error.kind === "fn"
+    });
+}
+
+/**
+ * Reads the streaming controls, saves them and reconnects.
+ */
+function updateStreamSettings() {
+    streamSettings = {
+        enabled: streamToggle.checked,
+        url: streamUrlInput.value.trim(),
+        protocol: streamProtocolSelect.value,
+        topic: streamTopicInput.value.trim() || DEFAULT_STREAM_SETTINGS.topic,
+        batchMs: parseInt(streamBatchSelect.value, 10)
+    };
+    saveStreamSettings(streamSettings);
+    restartDetectionStream();
+}
+
+/**
+ * Closes the current stream, if any, and opens a new one if streaming is on.
+ */
+function restartDetectionStream() {
+    if (detectionStream) {
+        detectionStream.close();
+        detectionStream = undefined;
+    }
+    streamTopicGroup.classList.toggle("hidden", streamSettings.protocol !== "mqtt");
+
+    if (!streamSettings.enabled || !streamSettings.url) {
+        streamStatus.textContent = "Off";
+        return;
+    }
+    detectionStream = createDetectionStream(streamSettings, getClientId());
+    detectionStream.addEventListener("status", (event) => {
+        streamStatus.textContent = describeStreamStatus(event.detail);
+    });
+    streamStatus.textContent = describeStreamStatus(detectionStream.getStatus());
+}
+
+/**
+ * Adds a frame's tracked detections to the recording session.
+ * @param {object} frame - From describeFrame().
+ * @param {Array<object>} tracks - The tracks matched on that frame.
+ */
+function recordFrame(frame, tracks) {
+    recordingSession.addFrame({
+        timestamp: frame.timestamp,
+        mediaTime: frame.mediaTime,
+        source: frame.sourceName,
+        width: frame.width,
+        height: frame.height,
+        detections: tracks.map(track => toRecordedDetection(track.detection, track.id)),
+        image: frame.image
+    });
+
+    recordingValue.textContent = recordingSession.getFrameCount();
+}
+
+/**
+ * Starts a new recording session, or stops the current one.
+ */
+function toggleRecording() {
+    if (isRecording) {
+        isRecording = false;
+        recordButton.textContent = "Start Recording";
+        recordButton.classList.remove("active");
+        captureSelect.disabled = false;
+    } else {
+        recordingSession = createRecordingSession({
+            captureEvery: parseInt(captureSelect.value, 10)
+        });
+        isRecording = true;
+        recordButton.textContent = "Stop Recording";
+        recordButton.classList.add("active");
+        captureSelect.disabled = true;
+        recordingValue.textContent = "0";
+    }
+
+    const canExport = !isRecording && recordingSession && recordingSession.getFrameCount() > 0;
+    for (const button of [exportJsonButton, exportCsvButton, exportCocoButton]) {
+        button.disabled = !canExport;
+    }
+}
+
+/**
+ * Starts a video clip (with any buffered pre-roll).
+ * @param {number} [durationMs] - Stop by itself after this long.
+ */
+function startClip(durationMs) {
+    clipRecorder.start();
+    clipStartedAt = Date.now();
+    clipButton.textContent = "Stop Clip";
+    clipButton.classList.add("active");
+    preRollSelect.disabled = true;
+
+    clipValue.textContent = "0:00";
+    clipTimer = setInterval(() => {
+        clipValue.textContent = formatTime((Date.now() - clipStartedAt) / 1000);
+    }, 500);
+    if (durationMs) {
+        clipStopTimer = setTimeout(finishClip, durationMs);
+    }
+}
+
+/**
+ * Stops the clip and downloads it, with its detections as a JSON sidecar.
+ */
+async function finishClip() {
+    clearInterval(clipTimer);
+    clearTimeout(clipStopTimer);
+    clipButton.disabled = true;
+
+    try {
+        const { video, sidecar, startedAt } = await clipRecorder.stop();
+        downloadBlob(video, exportFileName("clip", "webm", startedAt));
+        downloadBlob(sidecar, exportFileName("clip", "json", startedAt));
+    } catch (error) {
+        console.error("Could not save clip:", error);
+    } finally {
+        clipButton.disabled = false;
+        clipButton.textContent = "Record Clip";
+        clipButton.classList.remove("active");
+        preRollSelect.disabled = false;
+        clipValue.textContent = "-";
+    }
 }
 
 /**
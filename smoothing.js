@@ -0,0 +1,319 @@
+// @ts-nocheck
+
+/**
+ * Temporal smoothing for the overlay. Sits after the tracker (tracker.js),
+ * keyed by track ID:
+ *   - Box filtering: an exponential moving average or a constant-velocity
+ *     Kalman filter on each box's centre and size, so boxes stop jittering.
+ *   - Score hysteresis: an object appears at its class threshold but only
+ *     disappears once its score drops `hysteresis` below it, so it doesn't
+ *     blink in and out at the threshold. The detector has to report scores
+ *     that far below the threshold for this to work.
+ *   - Label voting: the label shown is the most common one over the last
+ *     `labelWindow` frames (the tracker must match across categories).
+ *   - Animation: boxes glide between detections and fade in and out.
+ *
+ * Settings look like:
+ *   { enabled, method: "ema" | "kalman", strength: 0 - 0.9, hysteresis: 0.1, labelWindow: 5, animate: true }
+ */
+
+export const DEFAULT_SMOOTHING_SETTINGS = {
+    enabled: false,
+    method: "ema",
+    strength: 0.5,      // 0 = follow the detector exactly
+    hysteresis: 0.1,    // Score margin below the threshold before an object is dropped
+    labelWindow: 5,     // Frames to vote labels over; 1 = no voting
+    animate: true
+};
+
+const SETTINGS_STORAGE_KEY = "smoothingSettings";
+
+// Fade in and out, in ms
+const FADE_MS = 150;
+// Longest glide between two detections, in ms (slow detectors would otherwise lag visibly)
+const MAX_GLIDE_MS = 250;
+
+export function loadSmoothingSettings() {
+    try {
+        return { ...DEFAULT_SMOOTHING_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}") };
+    } catch (error) {
+        console.error("Could not load smoothing settings:", error);
+        return { ...DEFAULT_SMOOTHING_SETTINGS };
+    }
+}
+
+export function saveSmoothingSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Creates a smoother. Its `settings` may be changed at any time; box
+ * filters pick up a new method or strength on the next object.
+ * @param {object} settings - See DEFAULT_SMOOTHING_SETTINGS.
+ */
+export function createSmoother(settings) {
+    const smoother = { settings: { ...settings } };
+    const states = new Map(); // track id -> see createState()
+
+    /**
+     * Runs one frame's tracks through hysteresis, box filters and label votes.
+     * @param {Array<object>} tracks - Tracks matched on this frame (tracker.update()).
+     * @param {Array<object>} liveTracks - Every live track (tracker.getTracks());
+     *   objects whose track is gone fade out.
+     * @param {Function} thresholdFor - category name -> score needed to appear.
+     * @param {number} now - performance.now().
+     * @returns {Array<object>} - The tracks that are shown.
+     */
+    smoother.update = (tracks, liveTracks, thresholdFor, now) => {
+        const { hysteresis, labelWindow } = smoother.settings;
+        const shown = [];
+
+        for (const track of tracks) {
+            const { categoryName, score } = track.detection.categories[0];
+            const threshold = thresholdFor(categoryName);
+            let state = states.get(track.id);
+
+            const isShown = state && state.visible
+                ? score >= threshold - hysteresis
+                : score >= threshold;
+            if (!isShown) {
+                if (state && state.visible) hide(state, now);
+                continue;
+            }
+
+            if (!state || !state.visible) {
+                state = createState(track.id, track.detection.boundingBox, now, smoother.settings);
+                states.set(track.id, state);
+            }
+
+            const target = state.filter.update(toCentreBox(track.detection.boundingBox), now);
+            state.from = boxAt(state, now);
+            state.to = target;
+            state.movedAt = now;
+            state.glideMs = Math.min(MAX_GLIDE_MS, Math.max(0, now - state.lastUpdate));
+            state.lastUpdate = now;
+
+            state.labels.push(categoryName);
+            if (state.labels.length > labelWindow) state.labels.splice(0, state.labels.length - labelWindow);
+            state.score = score;
+
+            shown.push(track);
+        }
+
+        const liveIds = new Set(liveTracks.map(track => track.id));
+        for (const state of states.values()) {
+            if (state.visible && !liveIds.has(state.id)) hide(state, now);
+        }
+        return shown;
+    };
+
+    /**
+     * True while the track's object is shown (for counting coasting tracks).
+     */
+    smoother.isVisible = (trackId) => states.get(trackId)?.visible === true;
+
+    /**
+     * What to draw right now.
+     * @param {number} now - performance.now().
+     * @returns {Array<{id: number, detection: object, opacity: number}>} - Detections
+     *   with the smoothed box, voted label and latest score.
+     */
+    smoother.display = (now) => {
+        const { animate } = smoother.settings;
+        const items = [];
+
+        for (const state of states.values()) {
+            let opacity = 1;
+            if (!state.visible) {
+                opacity = animate ? 1 - (now - state.hiddenAt) / FADE_MS : 0;
+                if (opacity <= 0) {
+                    states.delete(state.id);
+                    continue;
+                }
+            } else if (animate) {
+                opacity = Math.min(1, (now - state.shownAt) / FADE_MS);
+            }
+
+            const box = animate ? boxAt(state, now) : state.to;
+            items.push({
+                id: state.id,
+                detection: {
+                    boundingBox: toOriginBox(box),
+                    categories: [{ categoryName: majorityLabel(state.labels), score: state.score }]
+                },
+                opacity
+            });
+        }
+        return items;
+    };
+
+    /**
+     * True while something is gliding or fading, so the overlay needs
+     * redrawing every animation frame.
+     */
+    smoother.isAnimating = (now) => {
+        if (!smoother.settings.animate) return false;
+        for (const state of states.values()) {
+            if (!state.visible || now - state.shownAt < FADE_MS || now - state.movedAt < state.glideMs) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    smoother.reset = () => {
+        states.clear();
+    };
+
+    return smoother;
+}
+
+function createState(id, boundingBox, now, settings) {
+    const box = toCentreBox(boundingBox);
+    return {
+        id,
+        visible: true,
+        filter: settings.method === "kalman"
+            ? createKalmanBoxFilter(box, now, settings.strength)
+            : createEmaBoxFilter(box, settings.strength),
+        from: box,
+        to: box,
+        movedAt: now,
+        glideMs: 0,
+        lastUpdate: now,
+        shownAt: now,
+        hiddenAt: 0,
+        labels: [],
+        score: 0
+    };
+}
+
+function hide(state, now) {
+    state.visible = false;
+    state.hiddenAt = now;
+    state.from = state.to = boxAt(state, now);
+}
+
+/**
+ * Where the box is in its glide from `from` to `to`.
+ */
+function boxAt(state, now) {
+    if (state.glideMs <= 0) return state.to;
+    const t = Math.min(1, (now - state.movedAt) / state.glideMs);
+    const eased = t * (2 - t); // Ease out
+    const lerp = key => state.from[key] + (state.to[key] - state.from[key]) * eased;
+    return { cx: lerp("cx"), cy: lerp("cy"), width: lerp("width"), height: lerp("height") };
+}
+
+/**
+ * The most common label; ties go to the most recent of them.
+ */
+function majorityLabel(labels) {
+    const counts = new Map();
+    let best;
+    let bestCount = 0;
+    for (const label of labels) {
+        const count = (counts.get(label) || 0) + 1;
+        counts.set(label, count);
+        if (count >= bestCount) {
+            best = label;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// Filters work on centre and size, so a box that grows doesn't drift
+function toCentreBox(box) {
+    return {
+        cx: box.originX + box.width / 2,
+        cy: box.originY + box.height / 2,
+        width: box.width,
+        height: box.height
+    };
+}
+
+function toOriginBox(box) {
+    return {
+        originX: box.cx - box.width / 2,
+        originY: box.cy - box.height / 2,
+        width: box.width,
+        height: box.height
+    };
+}
+
+// --- Box filters ---
+// Both take a centre box ({ cx, cy, width, height }) per detection and
+// return the filtered one.
+
+const KEYS = ["cx", "cy", "width", "height"];
+
+function createEmaBoxFilter(initial, strength) {
+    let box = { ...initial };
+    return {
+        update: (measured) => {
+            for (const key of KEYS) {
+                box[key] += (measured[key] - box[key]) * (1 - strength);
+            }
+            return { ...box };
+        }
+    };
+}
+
+/**
+ * A constant-velocity Kalman filter per coordinate. Unlike the moving
+ * average it keeps up with steadily moving objects instead of trailing them.
+ * Noise is relative to the box size, so small and large objects smooth alike.
+ */
+function createKalmanBoxFilter(initial, now, strength) {
+    const size = Math.hypot(initial.width, initial.height);
+    // How far a measurement may be off (px), and how fast motion may change (px/s²)
+    const measurementStd = Math.max(1, strength * 0.1 * size);
+    const accelerationStd = Math.max(1, (1 - strength) * 4 * size);
+
+    const filters = {};
+    for (const key of KEYS) {
+        filters[key] = {
+            x: initial[key],
+            v: 0,
+            // Covariance of [position, velocity]
+            p00: measurementStd ** 2, p01: 0, p11: size ** 2
+        };
+    }
+    let lastTime = now;
+
+    return {
+        update: (measured, time) => {
+            const dt = Math.max(0.001, (time - lastTime) / 1000);
+            lastTime = time;
+            const q = accelerationStd ** 2;
+            const r = measurementStd ** 2;
+
+            const box = {};
+            for (const key of KEYS) {
+                const f = filters[key];
+
+                // Predict
+                f.x += f.v * dt;
+                const p00 = f.p00 + dt * (2 * f.p01 + dt * f.p11) + q * dt ** 4 / 4;
+                const p01 = f.p01 + dt * f.p11 + q * dt ** 3 / 2;
+                const p11 = f.p11 + q * dt ** 2;
+
+                // Correct with the measurement
+                const k0 = p00 / (p00 + r);
+                const k1 = p01 / (p00 + r);
+                const residual = measured[key] - f.x;
+                f.x += k0 * residual;
+                f.v += k1 * residual;
+                f.p00 = (1 - k0) * p00;
+                f.p01 = (1 - k0) * p01;
+                f.p11 = p11 - k1 * p01;
+
+                box[key] = f.x;
+            }
+            box.width = Math.max(1, box.width);
+            box.height = Math.max(1, box.height);
+            return box;
+        }
+    };
+}
@@ -0,0 +1,159 @@
+// @ts-nocheck
+import { toRecordedDetection } from "./export.js";
+import { drawComposite } from "./clips.js";
+import { putRecord, getAllRecords, deleteRecord, clearStore } from "./idb.js";
+import { createZip } from "./zip.js";
+
+/**
+ * Snapshots: a frozen frame with the overlay, plus a crop of every detected
+ * object, kept in IndexedDB ("snapshots") for the gallery.
+ *
+ * Crops come from the raw frame, without boxes drawn on them, so they can go
+ * straight back to whoever trains the model.
+ *
+ * A record looks like:
+ *   {
+ *     id, createdAt, reason, source, width, height,
+ *     image: Blob,                  // JPEG of the frame with the overlay
+ *     detections: [{ trackId, category, score, box: { x, y, width, height }, crop: Blob }]
+ *   }
+ * Snapshots saved by alerts before crops existed have no `detections`.
+ */
+
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Freezes the current frame. The pixels are copied straight away, so the
+ * crops match the tracks even if the video moves on while encoding.
+ * @param {object} options
+ * @param {CanvasImageSource} options.element - The <video> or <img> showing the input.
+ * @param {HTMLCanvasElement} options.overlay - The detection overlay.
+ * @param {boolean} options.isFlipped
+ * @param {number} options.width - Frame width in pixels.
+ * @param {number} options.height - Frame height in pixels.
+ * @param {Array<object>} options.tracks - What the overlay shows, { id, detection },
+ *   so the crops match the boxes drawn on the frame.
+ * @param {string} options.reason - Why it was taken, e.g. "Manual" or an alert message.
+ * @param {string} [options.source] - Name of the input.
+ * @returns {Promise<object>} - The record, not yet saved.
+ */
+export async function takeSnapshot({ element, overlay, isFlipped, width, height, tracks, reason, source }) {
+    const composite = document.createElement("canvas");
+    composite.width = width;
+    composite.height = height;
+    drawComposite(composite.getContext("2d"), element, overlay, isFlipped);
+
+    const crops = tracks.map(track => cropBox(element, track.detection.boundingBox, width, height));
+
+    return {
+        createdAt: Date.now(),
+        reason,
+        source: source ?? null,
+        width,
+        height,
+        image: await toJpeg(composite),
+        detections: await Promise.all(tracks.map(async (track, i) => ({
+            ...toRecordedDetection(track.detection, track.id),
+            crop: crops[i] ? await toJpeg(crops[i]) : null
+        })))
+    };
+}
+
+/**
+ * Copies one box out of the frame (in frame pixels, clamped to the frame).
+ * @returns {HTMLCanvasElement|null} - null for a box that is entirely outside.
+ */
+function cropBox(element, box, width, height) {
+    const x = Math.max(0, Math.floor(box.originX));
+    const y = Math.max(0, Math.floor(box.originY));
+    const cropWidth = Math.min(width, Math.ceil(box.originX + box.width)) - x;
+    const cropHeight = Math.min(height, Math.ceil(box.originY + box.height)) - y;
+    if (cropWidth <= 0 || cropHeight <= 0) return null;
+
+    const crop = document.createElement("canvas");
+    crop.width = cropWidth;
+    crop.height = cropHeight;
+    crop.getContext("2d").drawImage(element, x, y, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+    return crop;
+}
+
+function toJpeg(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            // e.g. a canvas too large for the browser to encode
+            if (blob) resolve(blob);
+            else reject(new Error(`Could not encode a ${canvas.width}x${canvas.height} JPEG`));
+        }, "image/jpeg", JPEG_QUALITY);
+    });
+}
+
+/**
+ * Saves a snapshot. Resolves with its id.
+ */
+export function saveSnapshot(snapshot) {
+    return putRecord("snapshots", snapshot);
+}
+
+/**
+ * All stored snapshots, newest first.
+ */
+export async function loadSnapshots() {
+    const snapshots = await getAllRecords("snapshots");
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function deleteSnapshot(id) {
+    return deleteRecord("snapshots", id);
+}
+
+export function clearSnapshots() {
+    return clearStore("snapshots");
+}
+
+/**
+ * A file name for one crop, e.g. "crop-2-person-87.jpg".
+ */
+export function cropFileName(detection, index) {
+    const category = detection.category.replace(/[^\w-]+/g, "_");
+    return `crop-${index + 1}-${category}-${Math.round(detection.score * 100)}.jpg`;
+}
+
+/**
+ * Packs snapshots into a zip: a folder per snapshot with the frame and its
+ * crops, and a snapshots.json describing everything.
+ * @param {Array<object>} snapshots - Records from loadSnapshots().
+ * @returns {Promise<Blob>}
+ */
+export function snapshotsToZip(snapshots) {
+    const files = [];
+    const index = [];
+
+    for (const snapshot of snapshots) {
+        const folder = `snapshot-${snapshot.id}`;
+        files.push({ name: `${folder}/frame.jpg`, data: snapshot.image });
+
+        const detections = (snapshot.detections || []).map((detection, i) => {
+            const { crop, ...info } = detection;
+            let file = null;
+            if (crop) {
+                file = `${folder}/${cropFileName(detection, i)}`;
+                files.push({ name: file, data: crop });
+            }
+            return { ...info, file };
+        });
+
+        index.push({
+            id: snapshot.id,
+            createdAt: new Date(snapshot.createdAt).toISOString(),
+            reason: snapshot.reason,
+            source: snapshot.source ?? null,
+            width: snapshot.width ?? null,
+            height: snapshot.height ?? null,
+            image: `${folder}/frame.jpg`,
+            detections
+        });
+    }
+
+    files.push({ name: "snapshots.json", data: JSON.stringify(index, null, 2) });
+    return createZip(files);
+}
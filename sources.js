@@ -0,0 +1,140 @@
+// @ts-nocheck
+
+/**
+ * Input sources.
+ * Each source wraps the media element the detector reads from, so the same
+ * detection and drawing loop can run on the live camera, a video file, or a
+ * folder of still images.
+ *
+ * Every source has the same basic shape:
+ *   - kind:          "camera" | "video" | "images"
+ *   - runningMode:   The MediaPipe running mode it needs ("VIDEO" or "IMAGE")
+ *   - element:       The <video> or <img> element to pass to the detector
+ *   - isReady():     True once the element has a frame we can read
+ *   - getSize():     { width, height } of the current frame
+ *   - getFrameKey(): Changes whenever there is a new frame to detect on
+ *   - stop():        Releases the stream / object URLs
+ */
+
+/**
+ * Wraps a live camera stream.
+ * @param {HTMLVideoElement} video - The element to play the stream in.
+ * @param {MediaStream} stream - The stream returned by getUserMedia.
+ */
+export function createCameraSource(video, stream) {
+    video.removeAttribute("src");
+    video.srcObject = stream;
+
+    return {
+        kind: "camera",
+        runningMode: "VIDEO",
+        element: video,
+        stream,
+        isReady: () => video.readyState >= 2,
+        getSize: () => ({ width: video.videoWidth, height: video.videoHeight }),
+        getFrameKey: () => video.currentTime,
+        stop() {
+            stream.getTracks().forEach(track => track.stop());
+            video.srcObject = null;
+        }
+    };
+}
+
+/**
+ * Plays a video file frame by frame, with pause and seek support.
+ * @param {HTMLVideoElement} video - The element to play the file in.
+ * @param {File|string} file - A video file from a file picker or drop, or a URL.
+ *   Videos from other sites must be served with CORS headers, or WebGL can't read them.
+ */
+export function createVideoFileSource(video, file) {
+    const isUrl = typeof file === "string";
+    const url = isUrl ? file : URL.createObjectURL(file);
+    video.srcObject = null;
+    if (isUrl) {
+        video.crossOrigin = "anonymous";
+    } else {
+        video.removeAttribute("crossorigin");
+    }
+    video.src = url;
+    video.loop = false;
+    video.muted = true; // Required for autoplay without a user gesture
+
+    return {
+        kind: "video",
+        runningMode: "VIDEO",
+        element: video,
+        name: isUrl ? decodeURIComponent(new URL(url, location.href).pathname.split("/").pop()) : file.name,
+        isReady: () => video.readyState >= 2,
+        getSize: () => ({ width: video.videoWidth, height: video.videoHeight }),
+        getFrameKey: () => video.currentTime,
+        play: () => video.play(),
+        pause: () => video.pause(),
+        isPaused: () => video.paused,
+        getCurrentTime: () => video.currentTime,
+        getDuration: () => (Number.isFinite(video.duration) ? video.duration : 0),
+        seek(time) {
+            const duration = Number.isFinite(video.duration) ? video.duration : 0;
+            video.currentTime = Math.min(Math.max(time, 0), duration);
+        },
+        stop() {
+            video.pause();
+            video.removeAttribute("src");
+            video.load();
+            if (!isUrl) URL.revokeObjectURL(url);
+        }
+    };
+}
+
+/**
+ * Steps through a set of still images, one at a time.
+ * @param {HTMLImageElement} image - The element to show the images in.
+ * @param {FileList|Array<File>} files - Files from a folder picker or drop. Non-images are ignored.
+ */
+export function createImageFolderSource(image, files) {
+    const images = Array.from(files)
+        .filter(file => file.type.startsWith("image/"))
+        .sort((a, b) => fileSortKey(a).localeCompare(fileSortKey(b), undefined, { numeric: true }));
+
+    if (images.length === 0) {
+        throw new Error("No image files were found in the selection");
+    }
+
+    let index = 0;
+    let url;
+
+    function show(newIndex) {
+        index = Math.min(Math.max(newIndex, 0), images.length - 1);
+        if (url) URL.revokeObjectURL(url);
+        url = URL.createObjectURL(images[index]);
+        image.src = url;
+    }
+
+    show(0);
+
+    return {
+        kind: "images",
+        runningMode: "IMAGE",
+        element: image,
+        isReady: () => image.complete && image.naturalWidth > 0,
+        getSize: () => ({ width: image.naturalWidth, height: image.naturalHeight }),
+        getFrameKey: () => url,
+        show,
+        next: () => show(index + 1),
+        previous: () => show(index - 1),
+        getIndex: () => index,
+        getCount: () => images.length,
+        getName: () => images[index].name,
+        stop() {
+            image.removeAttribute("src");
+            if (url) URL.revokeObjectURL(url);
+            url = undefined;
+        }
+    };
+}
+
+/**
+ * Folder pickers give us the relative path; plain multi-select only the name.
+ */
+function fileSortKey(file) {
+    return file.webkitRelativePath || file.name;
+}
@@ -0,0 +1,358 @@
+// @ts-nocheck
+
+/**
+ * Streams per-frame detections to a server, over a plain WebSocket or as
+ * MQTT (3.1.1, QoS 0) over a WebSocket, so a backend can aggregate counts
+ * from many browsers. tools/mock-stream-server.mjs is a server to test with.
+ *
+ * Every message (a WebSocket text message, or the MQTT PUBLISH payload) is
+ * one JSON batch of frames:
+ *   {
+ *     "schema": "live-object-detector/detections/1",
+ *     "clientId": "k3x9...",          // Random, kept per browser
+ *     "sentAt": "2026-01-01T12:00:00.000Z",
+ *     "dropped": 0,                   // Frames discarded since the last batch (queue full)
+ *     "frames": [{
+ *       "timestamp": "2026-01-01T11:59:59.500Z",
+ *       "source": "camera",           // Or the video / image file name
+ *       "width": 1280, "height": 720,
+ *       "counts": { "person": 2 },
+ *       "detections": [{ "trackId": 3, "category": "person", "score": 0.91,
+ *                        "box": { "x": 10, "y": 20, "width": 100, "height": 200 } }]
+ *     }]
+ *   }
+ * Boxes are in frame pixels. MQTT batches go to the configured topic, where
+ * "{clientId}" is replaced with the client ID.
+ *
+ * Delivery is at most once: frames wait in a bounded queue while the
+ * connection is down (or the socket is still sending earlier batches), and
+ * the oldest are dropped when it fills. Anything already handed to the
+ * socket is lost if the connection drops.
+ */
+
+export const STREAM_SCHEMA = "live-object-detector/detections/1";
+
+export const DEFAULT_STREAM_SETTINGS = {
+    enabled: false,
+    url: "ws://localhost:8080",
+    protocol: "websocket",      // "websocket" | "mqtt"
+    topic: "detections/{clientId}",
+    batchMs: 1000               // 0 = a message per frame
+};
+
+const SETTINGS_STORAGE_KEY = "streamSettings";
+const CLIENT_ID_STORAGE_KEY = "streamClientId";
+
+// Stop sending while this much is still waiting in the socket
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const MAX_QUEUED_FRAMES = 5000;
+const MAX_BATCH_FRAMES = 100;
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const MQTT_KEEP_ALIVE_SECONDS = 60;
+// How long to wait for the broker's CONNACK before trying again
+const MQTT_CONNACK_TIMEOUT_MS = 10000;
+
+export function loadStreamSettings() {
+    try {
+        return { ...DEFAULT_STREAM_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}") };
+    } catch (error) {
+        console.error("Could not load stream settings:", error);
+        return { ...DEFAULT_STREAM_SETTINGS };
+    }
+}
+
+export function saveStreamSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * This browser's client ID, made up the first time it is needed.
+ */
+export function getClientId() {
+    let clientId = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+    if (!clientId) {
+        clientId = `lod-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+    }
+    return clientId;
+}
+
+/**
+ * One frame in the schema above.
+ * @param {object} frame
+ * @param {number} frame.timestamp - Date.now() time of the frame.
+ * @param {string} frame.source
+ * @param {number} frame.width
+ * @param {number} frame.height
+ * @param {Array<object>} frame.detections - From toRecordedDetection() (export.js).
+ */
+export function toStreamFrame({ timestamp, source, width, height, detections }) {
+    const counts = {};
+    for (const detection of detections) {
+        counts[detection.category] = (counts[detection.category] || 0) + 1;
+    }
+    return {
+        timestamp: new Date(timestamp).toISOString(),
+        source,
+        width,
+        height,
+        counts,
+        detections
+    };
+}
+
+/**
+ * Opens a stream and keeps it connected until close().
+ * Dispatches "status" (detail: see getStatus()) whenever the connection
+ * state changes or a batch is sent.
+ * @param {object} settings - See DEFAULT_STREAM_SETTINGS.
+ * @param {string} clientId
+ */
+export function createDetectionStream(settings, clientId) {
+    const stream = new EventTarget();
+    const { url, protocol, batchMs } = settings;
+    const topic = settings.topic.replaceAll("{clientId}", clientId);
+
+    let socket;
+    let state = "connecting";   // "connecting" | "connected" | "reconnecting" | "closed"
+    let lastError = null;
+    let queue = [];
+    let sent = 0;               // Frames sent
+    let dropped = 0;            // Frames dropped, in total
+    let droppedSinceSend = 0;
+    let attempts = 0;           // Failed connection attempts in a row
+    let reconnectTimer;
+    let flushTimer;
+    let pingTimer;
+    let connackTimer;
+
+    function setState(newState, error) {
+        state = newState;
+        if (error !== undefined) lastError = error;
+        emitStatus();
+    }
+
+    function emitStatus() {
+        stream.dispatchEvent(new CustomEvent("status", { detail: stream.getStatus() }));
+    }
+
+    function connect() {
+        clearTimeout(reconnectTimer);
+        try {
+            socket = protocol === "mqtt" ? new WebSocket(url, "mqtt") : new WebSocket(url);
+        } catch (error) {
+            // A malformed URL; retrying won't help
+            setState("closed", error.message);
+            return;
+        }
+        socket.binaryType = "arraybuffer";
+        const thisSocket = socket;
+
+        socket.addEventListener("open", () => {
+            if (protocol === "mqtt") {
+                socket.send(mqttConnect(clientId, MQTT_KEEP_ALIVE_SECONDS));
+                // A broker that takes the connection but never answers
+                connackTimer = setTimeout(() => {
+                    lastError = "MQTT broker did not answer";
+                    thisSocket.close();
+                }, MQTT_CONNACK_TIMEOUT_MS);
+            } else {
+                handleConnected();
+            }
+        });
+
+        socket.addEventListener("message", ({ data }) => {
+            if (protocol !== "mqtt" || !(data instanceof ArrayBuffer)) return;
+            const bytes = new Uint8Array(data);
+            // CONNACK: accepted when the return code is 0
+            if (bytes[0] >> 4 === 2) {
+                if (bytes[3] === 0) {
+                    handleConnected();
+                } else {
+                    lastError = `MQTT broker refused the connection (code ${bytes[3]})`;
+                    socket.close();
+                }
+            }
+        });
+
+        socket.addEventListener("close", (event) => {
+            // A socket we already gave up on
+            if (thisSocket !== socket) return;
+            stopTimers();
+            if (state === "closed") return;
+
+            const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** attempts);
+            attempts++;
+            reconnectTimer = setTimeout(connect, delay * (0.75 + Math.random() * 0.5));
+            setState("reconnecting", lastError || `Connection closed (${event.code})`);
+        });
+    }
+
+    function handleConnected() {
+        clearTimeout(connackTimer);
+        attempts = 0;
+        lastError = null;
+        setState("connected");
+        if (batchMs > 0) flushTimer = setInterval(flush, batchMs);
+        if (protocol === "mqtt") {
+            pingTimer = setInterval(() => socket.send(MQTT_PINGREQ), MQTT_KEEP_ALIVE_SECONDS * 1000 / 2);
+        }
+        flush();
+    }
+
+    function stopTimers() {
+        clearTimeout(connackTimer);
+        clearInterval(flushTimer);
+        clearInterval(pingTimer);
+    }
+
+    /**
+     * Sends what is queued, as long as the socket keeps up.
+     */
+    function flush() {
+        while (queue.length > 0 && state === "connected") {
+            if (socket.bufferedAmount > MAX_BUFFERED_BYTES) return; // Try again on the next flush
+
+            const frames = queue.slice(0, MAX_BATCH_FRAMES);
+            const message = JSON.stringify({
+                schema: STREAM_SCHEMA,
+                clientId,
+                sentAt: new Date().toISOString(),
+                dropped: droppedSinceSend,
+                frames
+            });
+            socket.send(protocol === "mqtt" ? mqttPublish(topic, message) : message);
+
+            queue = queue.slice(frames.length);
+            sent += frames.length;
+            droppedSinceSend = 0;
+        }
+        emitStatus();
+    }
+
+    /**
+     * Queues one frame (see toStreamFrame()).
+     */
+    stream.publish = (frame) => {
+        if (state === "closed") return;
+        queue.push(frame);
+        if (queue.length > MAX_QUEUED_FRAMES) {
+            queue.shift();
+            dropped++;
+            droppedSinceSend++;
+        }
+        if (batchMs === 0 && state === "connected") flush();
+    };
+
+    /**
+     * @returns {{state: string, queued: number, sent: number, dropped: number, error: string|null}}
+     */
+    stream.getStatus = () => ({
+        state,
+        queued: queue.length,
+        sent,
+        dropped,
+        error: lastError
+    });
+
+    /**
+     * Disconnects for good. Queued frames are discarded.
+     */
+    stream.close = () => {
+        if (state === "closed") return;
+        const wasConnected = state === "connected";
+        setState("closed", null);
+        stopTimers();
+        clearTimeout(reconnectTimer);
+        window.removeEventListener("online", handleOnline);
+        if (socket) {
+            if (wasConnected && protocol === "mqtt") socket.send(MQTT_DISCONNECT);
+            socket.close();
+        }
+        queue = [];
+    };
+
+    // Back online: don't wait for the backoff
+    function handleOnline() {
+        if (state === "reconnecting") {
+            attempts = 0;
+            connect();
+        }
+    }
+    window.addEventListener("online", handleOnline);
+
+    connect();
+    return stream;
+}
+
+/**
+ * A short description of a stream status for the UI.
+ */
+export function describeStreamStatus(status) {
+    const counts = `${status.sent} sent, ${status.queued} queued` +
+        (status.dropped ? `, ${status.dropped} dropped` : "");
+    switch (status.state) {
+        case "connecting": return "Connecting...";
+        case "connected": return `Connected (${counts})`;
+        case "reconnecting": return `Reconnecting (${counts})`;
+        default: return status.error ? `Off: ${status.error}` : "Off";
+    }
+}
+
+// --- MQTT 3.1.1 packets ---
+// Only what a QoS 0 publisher needs: CONNECT, PUBLISH, PINGREQ and DISCONNECT.
+
+const textEncoder = new TextEncoder();
+
+const MQTT_PINGREQ = new Uint8Array([0xc0, 0x00]);
+const MQTT_DISCONNECT = new Uint8Array([0xe0, 0x00]);
+
+function mqttPacket(firstByte, parts) {
+    const bodyLength = parts.reduce((sum, part) => sum + part.length, 0);
+
+    // "Remaining length": 7 bits per byte, high bit set while more follow
+    const lengthBytes = [];
+    let remaining = bodyLength;
+    do {
+        let byte = remaining % 128;
+        remaining = Math.floor(remaining / 128);
+        if (remaining > 0) byte |= 0x80;
+        lengthBytes.push(byte);
+    } while (remaining > 0);
+
+    const packet = new Uint8Array(1 + lengthBytes.length + bodyLength);
+    packet[0] = firstByte;
+    packet.set(lengthBytes, 1);
+    let offset = 1 + lengthBytes.length;
+    for (const part of parts) {
+        packet.set(part, offset);
+        offset += part.length;
+    }
+    return packet;
+}
+
+// A length-prefixed UTF-8 string
+function mqttString(text) {
+    const bytes = textEncoder.encode(text);
+    const encoded = new Uint8Array(2 + bytes.length);
+    encoded[0] = bytes.length >> 8;
+    encoded[1] = bytes.length & 0xff;
+    encoded.set(bytes, 2);
+    return encoded;
+}
+
+function mqttConnect(clientId, keepAliveSeconds) {
+    return mqttPacket(0x10, [
+        mqttString("MQTT"),
+        // Protocol level 4 (3.1.1), clean session, keep alive
+        new Uint8Array([4, 0x02, keepAliveSeconds >> 8, keepAliveSeconds & 0xff]),
+        mqttString(clientId)
+    ]);
+}
+
+function mqttPublish(topic, message) {
+    return mqttPacket(0x30, [mqttString(topic), textEncoder.encode(message)]);
+}
@@ -0,0 +1,125 @@
+// @ts-nocheck
+
+/**
+ * Service worker: makes the app work offline and installable.
+ *
+ * The app shell (HTML, CSS, JS modules, MediaPipe runtime) is precached on
+ * install and served cache-first. Bump CACHE_VERSION with every release:
+ * that changes this file, so the browser installs the new worker, and the
+ * page offers the user a reload (see pwa.js).
+ *
+ * Models are *not* handled here. model-cache.js stores models in the
+ * "models-v1" cache and reads them back itself, with integrity checks and
+ * eviction. The page precaches the selected model (and the faster one
+ * adaptive quality may switch to) as soon as it has loaded, and again
+ * whenever the selection changes, so both work offline from the first visit.
+ */
+
+const CACHE_VERSION = "v15";
+const APP_CACHE = `app-${CACHE_VERSION}`;
+
+// Must be present, or the install fails (and the old version keeps running)
+const APP_SHELL = [
+    "./",
+    "index.html",
+    "style.css",
+    "manifest.webmanifest",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "script.js",
+    "tracker.js",
+    "sources.js",
+    "export.js",
+    "zip.js",
+    "zones.js",
+    "alerts.js",
+    "idb.js",
+    "classes.js",
+    "model-inspector.js",
+    "model-cache.js",
+    "pwa.js",
+    "worker-detector.js",
+    "inference-worker.js",
+    "perf.js",
+    "delegate.js",
+    "clips.js",
+    "snapshots.js",
+    "config.js",
+    "draw.js",
+    "live-object-detector.js",
+    "streaming.js",
+    "grid.js",
+    "privacy.js",
+    "smoothing.js",
+    "evaluation.js",
+    "accessibility.js",
+    "mediapipe_wasm/vision_bundle.mjs",
+    "mediapipe_wasm/vision_wasm_internal.js"
+];
+
+// Cached if the server has them; deployments may leave some out
+const OPTIONAL_ASSETS = [
+    "mediapipe_wasm/vision_wasm_internal.wasm",
+    "mediapipe_wasm/vision_wasm_nosimd_internal.js",
+    "mediapipe_wasm/vision_wasm_nosimd_internal.wasm"
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(OPTIONAL_ASSETS.map(url =>
+            cache.add(url).catch(() => console.warn(`[sw] Optional asset not cached: ${url}`))
+        ));
+    })());
+    // No skipWaiting() here: the page asks first, so a running session isn't
+    // swapped to new code under the user's feet
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        // Drop app shells from older versions (but never the model cache)
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith("app-") && name !== APP_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data && event.data.type === "SKIP_WAITING") {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs; leave webhooks, model URLs on other hosts, etc. alone
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+    // Models (and their Range requests) are cached by model-cache.js
+    if (url.pathname.endsWith(".tflite") || request.headers.has("Range")) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(APP_CACHE);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(request);
+            // Runtime-cache anything else we serve (e.g. a .wasm that was missing at install)
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        } catch (error) {
+            // Offline navigation to an unknown URL: fall back to the app
+            if (request.mode === "navigate") {
+                return cache.match("index.html");
+            }
+            throw error;
+        }
+    })());
+});
@@ -0,0 +1,267 @@
+// @ts-nocheck
+/**
+ * A mock server for detection streaming (see streaming.js), for testing
+ * without a real backend. Plain Node, no dependencies:
+ *
+ *   node tools/mock-stream-server.mjs [--port 8080] [--drop-every 30] [--verbose]
+ *
+ * Accepts WebSocket connections, and MQTT 3.1.1 over WebSocket when the
+ * browser asks for the "mqtt" subprotocol, so both stream protocols can point
+ * at ws://localhost:8080. Every batch is checked against the schema, and a
+ * per-client summary of the counts is printed every 10 seconds.
+ *
+ *   --drop-every <s>  Close every connection after this many seconds, to
+ *                     try reconnecting and the offline queue.
+ *   --verbose         Print every batch.
+ */
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const SCHEMA = "live-object-detector/detections/1";
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const SUMMARY_INTERVAL_MS = 10000;
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+const port = parseInt(option("--port", "8080"), 10);
+const dropEverySeconds = parseFloat(option("--drop-every", "0"));
+const verbose = args.includes("--verbose");
+
+// clientId -> { batches, frames, dropped, counts: { category: total }, lastFrame }
+const clients = new Map();
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("This is a WebSocket endpoint.\n");
+});
+
+server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (!key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    const protocols = (request.headers["sec-websocket-protocol"] || "").split(",").map(p => p.trim());
+    const isMqtt = protocols.includes("mqtt");
+    const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        ...(isMqtt ? ["Sec-WebSocket-Protocol: mqtt"] : []),
+        "", ""
+    ].join("\r\n"));
+
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    console.log(`[${peer}] connected (${isMqtt ? "MQTT" : "WebSocket"})`);
+
+    const connection = createConnection(socket, isMqtt ? handleMqttData : handleText);
+    socket.on("close", () => console.log(`[${peer}] disconnected`));
+    socket.on("error", error => console.warn(`[${peer}] ${error.message}`));
+
+    if (dropEverySeconds > 0) {
+        const timer = setTimeout(() => {
+            console.log(`[${peer}] dropping the connection (--drop-every)`);
+            socket.destroy();
+        }, dropEverySeconds * 1000);
+        socket.on("close", () => clearTimeout(timer));
+    }
+
+    // --- MQTT (3.1.1, enough for a QoS 0 publisher) ---
+    let mqttBuffer = Buffer.alloc(0);
+
+    function handleMqttData(data) {
+        mqttBuffer = Buffer.concat([mqttBuffer, data]);
+        for (;;) {
+            const packet = readMqttPacket(mqttBuffer);
+            if (!packet) return;
+            mqttBuffer = mqttBuffer.subarray(packet.size);
+
+            const type = packet.firstByte >> 4;
+            if (type === 1) {        // CONNECT -> CONNACK, accepted
+                connection.send(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+            } else if (type === 3) { // PUBLISH
+                const topicLength = packet.body.readUInt16BE(0);
+                const topic = packet.body.subarray(2, 2 + topicLength).toString("utf8");
+                // QoS 1 and 2 have a packet ID after the topic
+                const qos = (packet.firstByte >> 1) & 0x03;
+                const payload = packet.body.subarray(2 + topicLength + (qos > 0 ? 2 : 0));
+                handleText(payload.toString("utf8"), topic);
+            } else if (type === 12) { // PINGREQ -> PINGRESP
+                connection.send(Buffer.from([0xd0, 0x00]));
+            } else if (type === 14) { // DISCONNECT
+                socket.end();
+            }
+        }
+    }
+
+    function handleText(text, topic) {
+        let batch;
+        try {
+            batch = JSON.parse(text);
+        } catch {
+            console.warn(`[${peer}] not JSON: ${text.slice(0, 80)}`);
+            return;
+        }
+        const problem = checkBatch(batch);
+        if (problem) {
+            console.warn(`[${peer}] invalid batch: ${problem}`);
+            return;
+        }
+
+        const client = clients.get(batch.clientId) || { batches: 0, frames: 0, dropped: 0, counts: {}, lastFrame: null };
+        clients.set(batch.clientId, client);
+        client.batches++;
+        client.frames += batch.frames.length;
+        client.dropped += batch.dropped;
+        for (const frame of batch.frames) {
+            for (const [category, count] of Object.entries(frame.counts)) {
+                client.counts[category] = (client.counts[category] || 0) + count;
+            }
+        }
+        client.lastFrame = batch.frames[batch.frames.length - 1];
+
+        if (verbose) {
+            const where = topic ? ` on ${topic}` : "";
+            console.log(`[${batch.clientId}] ${batch.frames.length} frame(s)${where}, latest: ${formatCounts(client.lastFrame.counts)}`);
+        }
+    }
+});
+
+/**
+ * Returns what is wrong with a batch, or null if it matches the schema.
+ */
+function checkBatch(batch) {
+    if (batch.schema !== SCHEMA) return `schema is ${JSON.stringify(batch.schema)}, expected "${SCHEMA}"`;
+    if (typeof batch.clientId !== "string") return "missing clientId";
+    if (typeof batch.dropped !== "number") return "missing dropped";
+    if (!Array.isArray(batch.frames)) return "missing frames";
+    for (const frame of batch.frames) {
+        if (Number.isNaN(Date.parse(frame.timestamp))) return "frame without a timestamp";
+        if (typeof frame.counts !== "object" || !Array.isArray(frame.detections)) return "frame without counts or detections";
+        for (const detection of frame.detections) {
+            if (typeof detection.category !== "string" || typeof detection.score !== "number" || !detection.box) {
+                return "malformed detection";
+            }
+        }
+    }
+    return null;
+}
+
+function formatCounts(counts) {
+    const entries = Object.entries(counts);
+    return entries.length ? entries.map(([category, count]) => `${category}: ${count}`).join(", ") : "nothing";
+}
+
+/**
+ * Reads one MQTT packet from the start of the buffer.
+ * @returns {{firstByte: number, body: Buffer, size: number}|null} - null until it has all arrived.
+ */
+function readMqttPacket(buffer) {
+    let length = 0;
+    let multiplier = 1;
+    let offset = 1;
+    for (;;) {
+        if (offset >= buffer.length) return null;
+        const byte = buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        if (!(byte & 0x80)) break;
+    }
+    if (buffer.length < offset + length) return null;
+    return { firstByte: buffer[0], body: buffer.subarray(offset, offset + length), size: offset + length };
+}
+
+/**
+ * Minimal WebSocket framing (RFC 6455) on top of an upgraded socket.
+ * @param {import("node:net").Socket} socket
+ * @param {Function} onMessage - Called with a string (text) or Buffer (binary).
+ */
+function createConnection(socket, onMessage) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode;
+
+    function send(data, opcode = typeof data === "string" ? 0x1 : 0x2) {
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        if (!socket.writableEnded) socket.write(Buffer.concat([header, payload]));
+    }
+
+    socket.on("data", (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        for (;;) {
+            if (buffer.length < 2) return;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+            buffer = buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {        // Close
+                send(payload.subarray(0, 2), 0x8);
+                socket.end();
+                return;
+            } else if (opcode === 0x9) { // Ping
+                send(payload, 0xa);
+            } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+                if (opcode !== 0x0) fragmentOpcode = opcode;
+                fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(fragments);
+                    fragments = [];
+                    onMessage(fragmentOpcode === 0x1 ? message.toString("utf8") : message);
+                }
+            }
+        }
+    });
+
+    return { send };
+}
+
+setInterval(() => {
+    for (const [clientId, client] of clients) {
+        console.log(`[${clientId}] ${client.frames} frames in ${client.batches} batches, ` +
+            `${client.dropped} dropped; totals: ${formatCounts(client.counts)}`);
+    }
+}, SUMMARY_INTERVAL_MS).unref();
+
+server.listen(port, () => {
+    console.log(`Mock stream server on ws://localhost:${port} (WebSocket and MQTT over WebSocket)`);
+});
@@ -0,0 +1,225 @@
+// @ts-nocheck
+
+/**
+ * Multi-object tracker.
+ * Sits between `detectForVideo` and the drawing code and associates each
+ * frame's detections with the objects seen on previous frames, so the same
+ * object keeps the same ID while it stays in view.
+ *
+ * Association is greedy on IoU against each track's *predicted* box
+ * (constant-velocity motion model), with a centroid-distance fallback for
+ * small or fast objects whose boxes no longer overlap.
+ *
+ * Lifecycle events (dispatched on the returned tracker, which is an EventTarget):
+ *   - "created": a new track was started.          detail: { track }
+ *   - "updated": a track was matched this frame.   detail: { track }
+ *   - "lost":    a track missed too many frames.   detail: { track }
+ */
+
+const DEFAULT_OPTIONS = {
+    iouThreshold: 0.3,        // Minimum IoU for a detection to match a track
+    maxCentroidDistance: 0.5, // Fallback: centroid distance as a fraction of the track's diagonal
+    maxMissedFrames: 10,      // How many frames a track may coast before it is lost
+    velocitySmoothing: 0.5,   // 0 = ignore new motion, 1 = use only the latest motion
+    matchAcrossCategories: false
+};
+
+/**
+ * Creates a new tracker.
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {EventTarget & {update: Function, getTracks: Function, reset: Function, options: object}}
+ */
+export function createTracker(options = {}) {
+    const tracker = new EventTarget();
+    tracker.options = { ...DEFAULT_OPTIONS, ...options };
+
+    let tracks = [];
+    let nextId = 1;
+
+    /**
+     * Feeds one frame of detections into the tracker.
+     * @param {Array<object>} detections - `results.detections` from MediaPipe.
+     * @param {number} timestamp - Frame timestamp in milliseconds.
+     * @returns {Array<object>} - The tracks that were matched on this frame.
+     */
+    tracker.update = (detections, timestamp) => {
+        const opts = tracker.options;
+
+        // --- 1. Predict where every existing track should be now ---
+        for (const track of tracks) {
+            const dt = timestamp - track.lastTimestamp;
+            track.predictedBox = predictBox(track.box, track.velocity, dt);
+        }
+
+        // --- 2. Score every (track, detection) pair ---
+        const candidates = [];
+        tracks.forEach((track, trackIndex) => {
+            detections.forEach((detection, detectionIndex) => {
+                const category = detection.categories[0]?.categoryName;
+                if (!opts.matchAcrossCategories && category !== track.category) return;
+
+                const score = matchScore(track.predictedBox, detection.boundingBox, opts);
+                if (score > 0) {
+                    candidates.push({ trackIndex, detectionIndex, score });
+                }
+            });
+        });
+
+        // --- 3. Greedy assignment, best pairs first ---
+        candidates.sort((a, b) => b.score - a.score);
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+        const activeTracks = [];
+
+        for (const { trackIndex, detectionIndex } of candidates) {
+            if (matchedTracks.has(trackIndex) || matchedDetections.has(detectionIndex)) continue;
+            matchedTracks.add(trackIndex);
+            matchedDetections.add(detectionIndex);
+
+            const track = tracks[trackIndex];
+            updateTrack(track, detections[detectionIndex], timestamp, opts);
+            activeTracks.push(track);
+            tracker.dispatchEvent(new CustomEvent("updated", { detail: { track } }));
+        }
+
+        // --- 4. Age out tracks that were not matched ---
+        const survivors = [];
+        tracks.forEach((track, trackIndex) => {
+            if (!matchedTracks.has(trackIndex)) {
+                track.missed++;
+                if (track.missed > opts.maxMissedFrames) {
+                    track.state = "lost";
+                    tracker.dispatchEvent(new CustomEvent("lost", { detail: { track } }));
+                    return;
+                }
+                track.state = "coasting";
+            }
+            survivors.push(track);
+        });
+        tracks = survivors;
+
+        // --- 5. Start new tracks for unmatched detections ---
+        detections.forEach((detection, detectionIndex) => {
+            if (matchedDetections.has(detectionIndex)) return;
+
+            const track = {
+                id: nextId++,
+                category: detection.categories[0]?.categoryName,
+                score: detection.categories[0]?.score ?? 0,
+                box: { ...detection.boundingBox },
+                predictedBox: { ...detection.boundingBox },
+                velocity: { x: 0, y: 0, width: 0, height: 0 },
+                detection,
+                hits: 1,
+                missed: 0,
+                state: "active",
+                firstSeen: timestamp,
+                lastSeen: timestamp,
+                lastTimestamp: timestamp
+            };
+            tracks.push(track);
+            activeTracks.push(track);
+            tracker.dispatchEvent(new CustomEvent("created", { detail: { track } }));
+        });
+
+        return activeTracks;
+    };
+
+    /**
+     * Returns every live track, including those coasting through missed frames.
+     */
+    tracker.getTracks = () => tracks.slice();
+
+    /**
+     * Drops all tracks (e.g. when the camera or input source changes).
+     * Tracks are discarded silently; no "lost" events are fired.
+     */
+    tracker.reset = () => {
+        tracks = [];
+    };
+
+    return tracker;
+}
+
+/**
+ * Moves a box forward along its velocity.
+ * @param {object} box - { originX, originY, width, height }
+ * @param {object} velocity - Per-millisecond deltas for x, y, width, height.
+ * @param {number} dt - Elapsed time in milliseconds.
+ */
+function predictBox(box, velocity, dt) {
+    return {
+        originX: box.originX + velocity.x * dt,
+        originY: box.originY + velocity.y * dt,
+        width: Math.max(1, box.width + velocity.width * dt),
+        height: Math.max(1, box.height + velocity.height * dt)
+    };
+}
+
+/**
+ * Applies a matched detection to a track and refreshes its velocity estimate.
+ */
+function updateTrack(track, detection, timestamp, opts) {
+    const box = detection.boundingBox;
+    const dt = timestamp - track.lastTimestamp;
+
+    if (dt > 0) {
+        const a = opts.velocitySmoothing;
+        const blend = (previous, delta) => previous * (1 - a) + (delta / dt) * a;
+        track.velocity = {
+            x: blend(track.velocity.x, box.originX - track.box.originX),
+            y: blend(track.velocity.y, box.originY - track.box.originY),
+            width: blend(track.velocity.width, box.width - track.box.width),
+            height: blend(track.velocity.height, box.height - track.box.height)
+        };
+    }
+
+    track.box = { ...box };
+    track.detection = detection;
+    // With matchAcrossCategories the label can change from frame to frame
+    track.category = detection.categories[0]?.categoryName ?? track.category;
+    track.score = detection.categories[0]?.score ?? track.score;
+    track.hits++;
+    track.missed = 0;
+    track.state = "active";
+    track.lastSeen = timestamp;
+    track.lastTimestamp = timestamp;
+}
+
+/**
+ * Scores how well a detection matches a predicted box.
+ * Returns IoU when the boxes overlap enough, otherwise a small score based on
+ * centroid distance, or 0 when the pair should not be matched at all.
+ */
+function matchScore(predicted, box, opts) {
+    const overlap = iou(predicted, box);
+    if (overlap >= opts.iouThreshold) {
+        return overlap;
+    }
+
+    const dx = (predicted.originX + predicted.width / 2) - (box.originX + box.width / 2);
+    const dy = (predicted.originY + predicted.height / 2) - (box.originY + box.height / 2);
+    const distance = Math.hypot(dx, dy);
+    const diagonal = Math.hypot(predicted.width, predicted.height);
+    const maxDistance = diagonal * opts.maxCentroidDistance;
+
+    if (distance < maxDistance) {
+        // Always ranks below a real IoU match
+        return opts.iouThreshold * (1 - distance / maxDistance) * 0.5;
+    }
+    return 0;
+}
+
+/**
+ * Intersection-over-union of two MediaPipe-style boxes.
+ */
+export function iou(a, b) {
+    const x1 = Math.max(a.originX, b.originX);
+    const y1 = Math.max(a.originY, b.originY);
+    const x2 = Math.min(a.originX + a.width, b.originX + b.width);
+    const y2 = Math.min(a.originY + a.height, b.originY + b.height);
+
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
@@ -0,0 +1,131 @@
+// @ts-nocheck
+
+/**
+ * Main-thread side of the inference worker (inference-worker.js).
+ * Looks enough like an ObjectDetector (setOptions, close) that the rest of
+ * the app can treat both the same, but detection is asynchronous: submit()
+ * a frame and listen for "detections".
+ *
+ * Only one frame is in flight at a time. While the worker is busy, submit()
+ * returns false and the frame is simply dropped, so a slow model lowers the
+ * detection rate instead of building up latency.
+ *
+ * Events:
+ *   - "detections":  detail { detections, timestamp, inferenceMs, context }
+ *   - "error":       detail { message }
+ *   - "contextlost": the worker's WebGL context is gone; the detector needs
+ *                    rebuilding (see delegate.js)
+ */
+
+/**
+ * Starts a worker and loads the model into it.
+ * @param {Uint8Array} modelBuffer - The .tflite model (copied to the worker).
+ * @param {object} options - ObjectDetector options, without modelAssetBuffer.
+ * @returns {Promise<EventTarget>} - Resolves once the model is ready.
+ */
+export async function createWorkerDetector(modelBuffer, options) {
+    const worker = new Worker(new URL("./inference-worker.js", import.meta.url), { type: "module" });
+    const detector = new EventTarget();
+    const pendingCalls = new Map(); // call id -> { resolve, reject }
+    let nextCallId = 1;
+    let nextFrameId = 1;
+    let inFlight = null;            // { frameId, context } of the frame being processed
+
+    detector.isWorker = true;
+
+    worker.addEventListener("message", ({ data }) => {
+        if (data.type === "detections") {
+            const frame = inFlight;
+            inFlight = null;
+            detector.dispatchEvent(new CustomEvent("detections", {
+                detail: { ...data, context: frame ? frame.context : undefined }
+            }));
+        } else if (data.type === "contextlost") {
+            inFlight = null;
+            detector.dispatchEvent(new Event("contextlost"));
+        } else if (data.type === "done") {
+            pendingCalls.get(data.id)?.resolve();
+            pendingCalls.delete(data.id);
+        } else if (data.type === "error") {
+            if (pendingCalls.has(data.id)) {
+                pendingCalls.get(data.id).reject(new Error(data.message));
+                pendingCalls.delete(data.id);
+            } else {
+                inFlight = null;
+                detector.dispatchEvent(new CustomEvent("error", { detail: { message: data.message } }));
+            }
+        }
+    });
+
+    // Failing to even start the worker (e.g. no module worker support)
+    worker.addEventListener("error", (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || "Inference worker failed to start");
+        for (const call of pendingCalls.values()) call.reject(error);
+        pendingCalls.clear();
+        inFlight = null;
+        detector.dispatchEvent(new CustomEvent("error", { detail: { message: error.message } }));
+    });
+
+    function call(type, payload) {
+        const id = nextCallId++;
+        return new Promise((resolve, reject) => {
+            pendingCalls.set(id, { resolve, reject });
+            worker.postMessage({ type, id, ...payload });
+        });
+    }
+
+    /**
+     * True while a frame is being processed.
+     */
+    detector.isBusy = () => inFlight !== null;
+
+    /**
+     * Sends a frame to the worker, unless it is still busy with the last one.
+     * @param {CanvasImageSource} element - The <video> or <img> to grab the frame from.
+     * @param {number} timestamp - Frame timestamp in ms (must increase in VIDEO mode).
+     * @param {"VIDEO"|"IMAGE"} runningMode
+     * @param {*} [context] - Anything; handed back with the detections.
+     * @returns {Promise<boolean>} - false if the frame was dropped.
+     */
+    detector.submit = async (element, timestamp, runningMode, context) => {
+        if (inFlight) return false;
+
+        const frameId = nextFrameId++;
+        inFlight = { frameId, context };
+        try {
+            const frame = await createImageBitmap(element);
+            worker.postMessage({ type: "detect", frameId, frame, timestamp, runningMode }, [frame]);
+            return true;
+        } catch (error) {
+            inFlight = null;
+            throw error;
+        }
+    };
+
+    detector.setOptions = (newOptions) => call("setOptions", { options: newOptions });
+
+    detector.close = () => {
+        worker.postMessage({ type: "close" });
+        for (const pending of pendingCalls.values()) pending.reject(new Error("Detector closed"));
+        pendingCalls.clear();
+        inFlight = null;
+    };
+
+    try {
+        await call("init", { modelBuffer, options });
+    } catch (error) {
+        worker.terminate();
+        throw error;
+    }
+    return detector;
+}
+
+/**
+ * True if this browser can run detection in a worker.
+ */
+export function isWorkerInferenceSupported() {
+    return typeof Worker !== "undefined"
+        && typeof OffscreenCanvas !== "undefined"
+        && typeof createImageBitmap !== "undefined";
+}
@@ -0,0 +1,111 @@
+// @ts-nocheck
+
+/**
+ * Minimal ZIP writer.
+ * Files are stored uncompressed; everything we put in a zip (JPEG/PNG
+ * frames, JSON) is either already compressed or small.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a Date to the MS-DOS time/date pair used by ZIP headers.
+ */
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<{name: string, data: Uint8Array|Blob|string}>} files - Paths may include folders ("images/1.jpg").
+ * @returns {Promise<Blob>} - The archive, as "application/zip".
+ */
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+
+        // --- Local file header ---
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Signature
+        header.setUint16(4, 20, true);         // Version needed
+        header.setUint16(6, 0x0800, true);     // Flags: UTF-8 names
+        header.setUint16(8, 0, true);          // Method: stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);         // Extra field length
+        parts.push(header, name, data);
+
+        // --- Central directory entry ---
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);          // Version made by
+        entry.setUint16(6, 20, true);          // Version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        // Extra, comment, disk number, attributes: all zero
+        entry.setUint32(42, offset, true);     // Offset of the local header
+        centralDirectory.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // --- End of central directory ---
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);  // Entries on this disk
+    end.setUint16(10, files.length, true); // Entries total
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: "application/zip" });
+}
+
+async function toBytes(data) {
+    if (typeof data === "string") {
+        return new TextEncoder().encode(data);
+    }
+    if (data instanceof Blob) {
+        return new Uint8Array(await data.arrayBuffer());
+    }
+    return data;
+}
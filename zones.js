@@ -0,0 +1,563 @@
+// @ts-nocheck
+
+/**
+ * Regions of interest and tripwire lines.
+ *
+ * Zones are stored in *normalized source coordinates* (0..1, un-mirrored),
+ * so they stay put when the resolution changes or the video is flipped.
+ * Only drawing and mouse/keyboard input deal with the mirrored, on-screen view.
+ *
+ * Two kinds of zone:
+ *   - "polygon": counts the objects whose box centre is inside it, per
+ *                category, and how long each one stays (dwell time).
+ *   - "line":    a tripwire; counts box centres crossing it. Crossing from
+ *                the left of A->B to the right is "in", the reverse is "out".
+ */
+
+const ZONE_COLOR = "#FFC107";
+const LINE_COLOR = "#E040FB";
+const HANDLE_RADIUS = 6;       // On-screen size of a vertex handle, in CSS pixels
+const CLOSE_DISTANCE = 12;     // How close (CSS px) a click must be to a vertex to hit it
+const KEY_STEP = 0.01;         // How far an arrow key moves the keyboard cursor (Shift: 5x)
+const EDITOR_LABEL = "Zone editor. Arrow keys move the cursor, Enter adds a point, " +
+    "Shift+Enter finishes the zone, Backspace removes the last point, Escape cancels.";
+
+/**
+ * Creates the zone manager, which owns the zones and their statistics.
+ * Dispatches "change" whenever zones are added, edited or removed.
+ */
+export function createZoneManager() {
+    const manager = new EventTarget();
+    let zones = [];
+    let nextId = 1;
+
+    function notify() {
+        manager.dispatchEvent(new CustomEvent("change"));
+    }
+
+    /**
+     * Adds a zone.
+     * @param {"polygon"|"line"} type
+     * @param {Array<{x: number, y: number}>} points - Normalized source coordinates.
+     * @param {string} [name]
+     */
+    manager.addZone = (type, points, name) => {
+        const id = nextId++;
+        const zone = {
+            id,
+            type,
+            name: name || `${type === "line" ? "Line" : "Zone"} ${id}`,
+            points: points.map(({ x, y }) => ({ x, y })),
+            stats: createEmptyStats(type)
+        };
+        zones.push(zone);
+        notify();
+        return zone;
+    };
+
+    manager.removeZone = (id) => {
+        zones = zones.filter(zone => zone.id !== id);
+        notify();
+    };
+
+    manager.clear = () => {
+        zones = [];
+        notify();
+    };
+
+    manager.getZones = () => zones;
+
+    /**
+     * Call after moving a vertex so listeners can redraw.
+     */
+    manager.touch = notify;
+
+    /**
+     * Resets every zone's counters (e.g. when the input source changes).
+     */
+    manager.resetStats = () => {
+        for (const zone of zones) {
+            zone.stats = createEmptyStats(zone.type);
+        }
+    };
+
+    /**
+     * Updates the statistics of every zone for one frame.
+     * @param {Array<{id: number, category: string, box: object}>} tracks - Live tracks from the tracker.
+     * @param {number} timestamp - Frame time in ms.
+     * @param {number} width - Frame width in pixels.
+     * @param {number} height - Frame height in pixels.
+     */
+    manager.update = (tracks, timestamp, width, height) => {
+        const centres = tracks.map(track => ({
+            id: track.id,
+            category: track.category,
+            x: (track.box.originX + track.box.width / 2) / width,
+            y: (track.box.originY + track.box.height / 2) / height
+        }));
+
+        for (const zone of zones) {
+            if (zone.type === "polygon") {
+                updatePolygonStats(zone, centres, timestamp);
+            } else {
+                updateLineStats(zone, centres);
+            }
+        }
+    };
+
+    /**
+     * Serializes the zone geometry (not the statistics).
+     */
+    manager.toJSON = () => ({
+        version: 1,
+        zones: zones.map(({ type, name, points }) => ({ type, name, points }))
+    });
+
+    /**
+     * Replaces all zones with those from a saved file.
+     * @param {object} data - The output of toJSON().
+     */
+    manager.load = (data) => {
+        if (!data || !Array.isArray(data.zones)) {
+            throw new Error("Not a zones file: missing 'zones' array");
+        }
+        const loaded = data.zones.map(zone => {
+            const minPoints = zone.type === "line" ? 2 : 3;
+            if (!["polygon", "line"].includes(zone.type) || !Array.isArray(zone.points) || zone.points.length < minPoints) {
+                throw new Error(`Invalid zone '${zone.name || "?"}'`);
+            }
+            return zone;
+        });
+
+        zones = [];
+        for (const zone of loaded) {
+            const id = nextId++;
+            zones.push({
+                id,
+                type: zone.type,
+                name: zone.name || `Zone ${id}`,
+                points: zone.points.map(({ x, y }) => ({ x: Number(x), y: Number(y) })),
+                stats: createEmptyStats(zone.type)
+            });
+        }
+        notify();
+    };
+
+    /**
+     * Draws every zone (and the one being drawn, if any) onto the canvas.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {boolean} isFlipped - Mirror horizontally, like drawDetection().
+     * @param {object} [draft] - An in-progress zone from the editor.
+     */
+    manager.draw = (ctx, isFlipped, draft) => {
+        const { width, height } = ctx.canvas;
+        const toCanvas = ({ x, y }) => ({
+            x: (isFlipped ? 1 - x : x) * width,
+            y: y * height
+        });
+        const scale = Math.max(1, width * 0.0015);
+
+        for (const zone of zones) {
+            drawZone(ctx, zone, zone.points.map(toCanvas), scale, isFlipped);
+        }
+        if (draft && draft.points.length > 0) {
+            drawZone(ctx, { ...draft, name: "", stats: null }, draft.points.map(toCanvas), scale, isFlipped, true);
+        }
+        if (draft && draft.cursor) {
+            drawCursor(ctx, toCanvas(draft.cursor), scale, draft.type === "line" ? LINE_COLOR : ZONE_COLOR);
+        }
+    };
+
+    return manager;
+}
+
+function createEmptyStats(type) {
+    if (type === "line") {
+        return { in: 0, out: 0, byCategory: {}, lastSide: new Map() };
+    }
+    return {
+        inside: {},               // category -> number of objects inside now
+        occupants: new Map(),     // track id -> time it entered
+        visits: 0,                // Completed visits
+        totalDwell: 0             // Sum of completed visit durations, in ms
+    };
+}
+
+function updatePolygonStats(zone, centres, timestamp) {
+    const stats = zone.stats;
+    const stillInside = new Set();
+    stats.inside = {};
+
+    for (const centre of centres) {
+        if (!pointInPolygon(centre, zone.points)) continue;
+
+        stillInside.add(centre.id);
+        stats.inside[centre.category] = (stats.inside[centre.category] || 0) + 1;
+        if (!stats.occupants.has(centre.id)) {
+            stats.occupants.set(centre.id, timestamp);
+        }
+    }
+
+    // Anyone who left (or whose track was lost) finishes their visit
+    for (const [id, enteredAt] of stats.occupants) {
+        if (!stillInside.has(id)) {
+            stats.occupants.delete(id);
+            stats.visits++;
+            stats.totalDwell += timestamp - enteredAt;
+        }
+    }
+    stats.lastUpdate = timestamp;
+}
+
+function updateLineStats(zone, centres) {
+    const stats = zone.stats;
+    const [a, b] = zone.points;
+    const seen = new Set();
+
+    for (const centre of centres) {
+        seen.add(centre.id);
+        const previous = stats.lastSide.get(centre.id);
+        const side = sideOfLine(a, b, centre);
+        // Exactly on the line: wait until it is clearly on one side
+        if (side === 0) continue;
+        stats.lastSide.set(centre.id, { side, x: centre.x, y: centre.y });
+
+        if (!previous || previous.side === side) continue;
+        if (!segmentsIntersect(previous, centre, a, b)) continue;
+
+        // In screen coordinates (y down), a positive cross product is the right-hand side of A->B
+        const direction = side > 0 ? "in" : "out";
+        stats[direction]++;
+        const counts = stats.byCategory[centre.category] || (stats.byCategory[centre.category] = { in: 0, out: 0 });
+        counts[direction]++;
+    }
+
+    for (const id of stats.lastSide.keys()) {
+        if (!seen.has(id)) stats.lastSide.delete(id);
+    }
+}
+
+/**
+ * Summarises a zone's statistics for display.
+ * @param {object} zone
+ * @param {number} [now] - Time used for the dwell of objects still inside.
+ * @returns {string}
+ */
+export function describeZoneStats(zone, now = zone.stats.lastUpdate) {
+    const stats = zone.stats;
+    if (zone.type === "line") {
+        const perCategory = Object.entries(stats.byCategory)
+            .map(([category, counts]) => `${category} ${counts.in}/${counts.out}`)
+            .join(", ");
+        return `in ${stats.in} / out ${stats.out}${perCategory ? ` (${perCategory})` : ""}`;
+    }
+
+    const inside = Object.entries(stats.inside)
+        .map(([category, count]) => `${count} ${category}`)
+        .join(", ") || "empty";
+
+    let longest = 0;
+    for (const enteredAt of stats.occupants.values()) {
+        longest = Math.max(longest, (now ?? enteredAt) - enteredAt);
+    }
+    const average = stats.visits > 0 ? stats.totalDwell / stats.visits : 0;
+
+    return `${inside} · longest ${formatSeconds(longest)} · avg dwell ${formatSeconds(average)} (${stats.visits} visits)`;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function drawZone(ctx, zone, points, scale, isFlipped, isDraft = false) {
+    const color = zone.type === "line" ? LINE_COLOR : ZONE_COLOR;
+
+    ctx.save();
+    ctx.lineWidth = 2 * scale;
+    ctx.strokeStyle = color;
+    ctx.setLineDash(isDraft ? [8 * scale, 6 * scale] : []);
+
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    if (zone.type === "polygon" && !isDraft) {
+        ctx.closePath();
+        ctx.fillStyle = "rgba(255, 193, 7, 0.12)";
+        ctx.fill();
+    }
+    ctx.stroke();
+
+    // Vertex handles
+    ctx.fillStyle = color;
+    for (const point of points) {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, HANDLE_RADIUS * scale * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Arrow showing the "in" direction of a tripwire
+    if (zone.type === "line" && points.length === 2) {
+        const [a, b] = points;
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        // The "in" side is to the right of A->B in source coordinates; mirroring swaps it
+        const sign = isFlipped ? -1 : 1;
+        const normal = { x: sign * -(b.y - a.y) / length, y: sign * (b.x - a.x) / length };
+        const tip = { x: mid.x + normal.x * 20 * scale, y: mid.y + normal.y * 20 * scale };
+        ctx.beginPath();
+        ctx.moveTo(mid.x, mid.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+    }
+
+    // Name & summary label
+    if (zone.name && points.length > 0) {
+        const label = zone.stats ? `${zone.name}: ${shortSummary(zone)}` : zone.name;
+        const fontSize = Math.max(12, ctx.canvas.width * 0.01);
+        ctx.font = `bold ${fontSize}px Arial`;
+        const textWidth = ctx.measureText(label).width;
+        const anchor = points[0];
+        ctx.setLineDash([]);
+        ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+        ctx.fillRect(anchor.x, anchor.y - fontSize * 1.4, textWidth + 10, fontSize * 1.4);
+        ctx.fillStyle = color;
+        ctx.fillText(label, anchor.x + 5, anchor.y - fontSize * 0.35);
+    }
+    ctx.restore();
+}
+
+// The keyboard cursor: a crosshair
+function drawCursor(ctx, point, scale, color) {
+    const size = HANDLE_RADIUS * 2 * scale;
+    ctx.save();
+    ctx.lineWidth = 2 * scale;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(point.x - size, point.y);
+    ctx.lineTo(point.x + size, point.y);
+    ctx.moveTo(point.x, point.y - size);
+    ctx.lineTo(point.x, point.y + size);
+    ctx.stroke();
+    ctx.restore();
+}
+
+function shortSummary(zone) {
+    if (zone.type === "line") {
+        return `in ${zone.stats.in} / out ${zone.stats.out}`;
+    }
+    const total = Object.values(zone.stats.inside).reduce((sum, n) => sum + n, 0);
+    return `${total} inside`;
+}
+
+/**
+ * True if the centre of a box (in pixels) lies inside a polygon zone.
+ * @param {object} zone - A polygon zone from the manager.
+ * @param {object} box - A MediaPipe bounding box.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ */
+export function zoneContainsBox(zone, box, width, height) {
+    if (zone.type !== "polygon") return false;
+    const centre = {
+        x: (box.originX + box.width / 2) / width,
+        y: (box.originY + box.height / 2) / height
+    };
+    return pointInPolygon(centre, zone.points);
+}
+
+// --- Geometry helpers ---
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.y > point.y) !== (b.y > point.y)
+            && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+function sideOfLine(a, b, p) {
+    return Math.sign((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+    return sideOfLine(p1, p2, q1) !== sideOfLine(p1, p2, q2)
+        && sideOfLine(q1, q2, p1) !== sideOfLine(q1, q2, p2);
+}
+
+/**
+ * Lets the user draw and edit zones with the mouse, or draw them with the
+ * keyboard: while drawing, the canvas takes focus and the arrow keys move a
+ * cursor (see EDITOR_LABEL).
+ * @param {HTMLCanvasElement} canvas - The overlay canvas (styled with object-fit: cover).
+ * @param {object} manager - From createZoneManager().
+ * @param {() => boolean} getFlipped - Returns the current mirroring state.
+ * @returns {object} - { start(type), cancel(), getDraft(), isDrawing() }; the
+ *   draft is { type, points, cursor } where cursor is the keyboard cursor, or null.
+ */
+export function attachZoneEditor(canvas, manager, getFlipped) {
+    const editor = new EventTarget();
+    let draft = null;    // { type, points } while drawing
+    let dragging = null; // { zone, index } while moving a vertex
+    let returnFocus;     // Focused before drawing started, focused again after
+
+    /**
+     * Maps a mouse event to normalized, un-mirrored source coordinates.
+     * Accounts for object-fit: cover cropping the canvas.
+     */
+    function toSource(event) {
+        const rect = canvas.getBoundingClientRect();
+        const scale = Math.max(rect.width / canvas.width, rect.height / canvas.height);
+        const offsetX = (rect.width - canvas.width * scale) / 2;
+        const offsetY = (rect.height - canvas.height * scale) / 2;
+        let x = (event.clientX - rect.left - offsetX) / scale / canvas.width;
+        const y = (event.clientY - rect.top - offsetY) / scale / canvas.height;
+        if (getFlipped()) x = 1 - x;
+        return { x: clamp01(x), y: clamp01(y), cssScale: scale };
+    }
+
+    function hitDistance(point, other, cssScale) {
+        // Distance in CSS pixels, so handles are equally easy to grab at any resolution
+        return Math.hypot((point.x - other.x) * canvas.width, (point.y - other.y) * canvas.height) * cssScale;
+    }
+
+    function changed() {
+        editor.dispatchEvent(new CustomEvent("change"));
+    }
+
+    /**
+     * Adds a vertex to the draft; lines finish at their second point.
+     */
+    function addPoint(point) {
+        draft.points.push({ x: point.x, y: point.y });
+        if (draft.type === "line" && draft.points.length === 2) {
+            finish();
+            return;
+        }
+        changed();
+    }
+
+    canvas.addEventListener("mousedown", (event) => {
+        const point = toSource(event);
+
+        if (draft) {
+            // Clicking the first vertex closes a polygon
+            if (draft.type === "polygon" && draft.points.length >= 3
+                && hitDistance(point, draft.points[0], point.cssScale) < CLOSE_DISTANCE) {
+                finish();
+                return;
+            }
+            draft.cursor = null; // Back to the mouse
+            addPoint(point);
+            return;
+        }
+
+        // Not drawing: grab the nearest vertex, if any
+        for (const zone of manager.getZones()) {
+            const index = zone.points.findIndex(p => hitDistance(point, p, point.cssScale) < CLOSE_DISTANCE);
+            if (index !== -1) {
+                dragging = { zone, index };
+                canvas.classList.add("dragging");
+                return;
+            }
+        }
+    });
+
+    canvas.addEventListener("mousemove", (event) => {
+        if (!dragging) return;
+        const point = toSource(event);
+        dragging.zone.points[dragging.index] = { x: point.x, y: point.y };
+        manager.touch();
+        changed();
+    });
+
+    window.addEventListener("mouseup", () => {
+        if (dragging) {
+            dragging = null;
+            canvas.classList.remove("dragging");
+        }
+    });
+
+    canvas.addEventListener("dblclick", () => {
+        // The two mousedowns of a double-click already added the final vertex (twice)
+        if (draft && draft.type === "polygon") {
+            draft.points.pop();
+            if (draft.points.length >= 3) finish();
+        }
+    });
+
+    window.addEventListener("keydown", (event) => {
+        if (draft && event.key === "Escape") editor.cancel();
+    });
+
+    canvas.addEventListener("keydown", (event) => {
+        if (!draft) return;
+
+        const step = event.shiftKey ? KEY_STEP * 5 : KEY_STEP;
+        // Arrow keys move the cursor as seen on screen
+        const moves = {
+            ArrowLeft: { x: -step, y: 0 },
+            ArrowRight: { x: step, y: 0 },
+            ArrowUp: { x: 0, y: -step },
+            ArrowDown: { x: 0, y: step }
+        };
+
+        if (moves[event.key]) {
+            const cursor = draft.cursor || draft.points[draft.points.length - 1] || { x: 0.5, y: 0.5 };
+            const dx = getFlipped() ? -moves[event.key].x : moves[event.key].x;
+            draft.cursor = { x: clamp01(cursor.x + dx), y: clamp01(cursor.y + moves[event.key].y) };
+            changed();
+        } else if (event.key === "Enter" && event.shiftKey) {
+            if (draft.type === "polygon" && draft.points.length >= 3) finish();
+        } else if (event.key === "Enter" || event.key === " ") {
+            draft.cursor = draft.cursor || { x: 0.5, y: 0.5 };
+            addPoint(draft.cursor);
+        } else if (event.key === "Backspace") {
+            draft.points.pop();
+            changed();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    function finish() {
+        manager.addZone(draft.type, draft.points);
+        end();
+    }
+
+    function end() {
+        draft = null;
+        canvas.classList.remove("drawing");
+        canvas.removeAttribute("aria-label");
+        canvas.tabIndex = -1;
+        if (returnFocus && document.activeElement === canvas) returnFocus.focus();
+        returnFocus = undefined;
+        changed();
+    }
+
+    editor.start = (type) => {
+        draft = { type, points: [], cursor: null }; // The cursor appears on the first arrow key
+        canvas.classList.add("drawing");
+        canvas.setAttribute("aria-label", EDITOR_LABEL);
+        canvas.tabIndex = 0;
+        returnFocus = document.activeElement;
+        canvas.focus();
+        changed();
+    };
+
+    editor.cancel = () => {
+        end();
+    };
+
+    editor.getDraft = () => draft;
+    editor.isDrawing = () => draft !== null;
+
+    return editor;
+}
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}